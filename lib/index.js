@@ -8,10 +8,13 @@
  */
 const Boom = require('@hapi/boom'),
     fs = require('fs'),
+    net = require('net'),
     path = require('path'),
     lodash = require('lodash'),
     headerParser = require('accept-language-parser'),
     Joi = require('@hapi/joi'),
+    MessageFormat = require('./message-format'),
+    intl = require('./intl'),
     pkg = require("../package");
 
 var rootDir = path.join(__dirname, '../../..');
@@ -19,27 +22,152 @@ var locales = [];
 
 /**
  * @typedef {Object}                    PluginOptions                   - Plugin configuration options.
- * @property {Array.<string>}           [locales=[]]                    - List of locales to use in application.
+ * @property {Array.<(string|LocaleInfo)>} [locales=[]]                - List of locales to use in application. Locales may be given as descriptors.
+ * @property {Object.<string, Object>}  [localeInfo={}]                 - Descriptor fields of locales keyed by locale, such as `{ ar_SA: { name: 'Arabic' }, de_DE: { enabled: false } }`. Applies to locales from any source, including scanned ones.
  * @property {string|null}              [default=1st Locale]            - Default locale to use if no locale is given.
  * @property {string|null}              [configFile=package.json]       - Configuration file to get available locales.
  * @property {string|null}              [configKey=locales]             - Key to look in configuration file to get available locales. May be nested key such as 'a.b.c'.
+ * @property {boolean}                  [watch=false]                   - Whether to watch `configFile` and `scan.path` of plugin and tenants while server is running and reload available locales when they change. Subdirectories are watched only where recursive `fs.watch` is supported.
  * @property {Object}                   [scan]                          - Scanning options to get available locales
- * @property {string}                   [scan.path=locale]              - Path or paths to scan locale files to get available locales.
- * @property {string}                   [scan.fileTypes=json]           - File types to scan. ie. "json" for en_US.json, tr_TR.json
+ * @property {string|Array.<string>}    [scan.path=locale]              - Path or paths to scan locale files to get available locales.
+ * @property {string|Array.<string>|null} [scan.fileType=json]          - File type or types to scan. ie. "json" for en_US.json, tr_TR.json. null for all files.
  * @property {boolean}                  [scan.directories=true]         - whether to scan directory names to get available locales.
+ * @property {boolean}                  [scan.recursive=false]          - Whether to scan subdirectories for locale files such as locales/<namespace>/<locale>.json instead of using directory names as locales.
  * @property {Array.<string>}           [scan.exclude=[templates]]      - Directory or file names to exclude from scan results.
  * @property {string|null}              [param=lang]                    - Name of the path parameter to determine language. ie. /{lang}/account
  * @property {string|null}              [query=lang]                    - Name of the query parameter to determine language. ie. /account?lang=tr_TR
  * @property {string|null}              [cookie=lang]                   - Name of the cookie to determine language.
  * @property {string|null}              [cookieKey=lang]                - Name of the key to look inside cookie to determine language. May be nested key such as 'a.b.c'.
  * @property {string|null}              [header=accept-language]        - Name of the header parameter to determine language.
- * @property {Array.<string>}           [order=['params', 'cookie', 'query', 'headers']] - Order in which language determination process follows. First successful method returns requested language.
- * @property {boolean}                  [throw404=true]                 - Whether to throw 404 not found if locale is not found. Does not apply path parameters, it always throws 404.
+ * @property {string}                   [credentialsKey=locale]         - Key in `request.auth.credentials` to determine language via `credentials` method. May be nested key such as 'profile.locale'.
+ * @property {boolean}                  [persist=false]                 - Whether to write locale to cookie given in `cookie` and `cookieKey`, when it is determined from params or query or changed by setter.
+ * @property {Object}                   [cookieOptions]                 - Options of the cookie written if `persist` is true. Not used if cookie is already defined via `server.state()`.
+ * @property {number|null}              [cookieOptions.ttl=31536000000] - Time to live of the cookie in milliseconds. null for session cookie.
+ * @property {string}                   [cookieOptions.path=/]          - Path of the cookie.
+ * @property {string|null}              [cookieOptions.domain=null]     - Domain of the cookie.
+ * @property {string|false}             [cookieOptions.isSameSite=Lax]  - SameSite attribute of the cookie. `Strict`, `Lax`, `None` or false.
+ * @property {boolean}                  [cookieOptions.isSecure=true]   - Whether to set Secure attribute of the cookie.
+ * @property {boolean}                  [cookieOptions.isHttpOnly=true] - Whether to set HttpOnly attribute of the cookie.
+ * @property {Object|false}             [redirect=false]                - Options to redirect requests without locale prefix such as /account to /{locale}/account. Locale is determined using methods in `order` except `params`.
+ * @property {number}                   [redirect.statusCode=302]       - Status code of the redirect response.
+ * @property {Array.<string|RegExp>}    [redirect.exclude=[]]           - Paths not to redirect. Strings are path prefixes such as '/api' ('/' matches only the root path), regular expressions are tested against path.
+ * @property {Object}                   [alternates]                    - Options of alternate URLs of a page for every locale. See `getAlternates()` exposed function.
+ * @property {string|null}              [alternates.method=null]        - How locale is placed in URL: `params`, `query` or `host`. If null or `params` is used for a route without locale parameter, `query` is used.
+ * @property {boolean}                  [alternates.header=false]       - Whether to add alternate URLs to Link header of successful responses.
+ * @property {boolean}                  [contentLanguage=false]         - Whether to set Content-Language header of the response to locale of the request.
+ * @property {string|null}              [contentLanguageFormat=bcp47]   - Form of the locale in Content-Language header. `bcp47` for en-US, `underscore` for en_US, null for as written in available locales.
+ * @property {boolean}                  [vary=false]                    - Whether to add header and cookie names to Vary header of the response, if they are looked to determine locale.
+ * @property {Object|null}              [host]                          - Options to determine language from request hostname. Used if `host` is in `order`.
+ * @property {Object.<string, string>}  [host.domains={}]               - Domains and their locales. Subdomains of given domain also match. ie. { 'example.de': 'de_DE', 'example.com.tr': 'tr_TR' }
+ * @property {boolean|RegExp}           [host.subdomain=true]           - Whether to use subdomain as a locale such as fr.example.com. Only subdomains which look like a language tag are used, `www` and IP addresses are ignored. A regular expression may be given to capture locale from hostname with its first group.
+ * @property {Array.<string>}           [order=['params', 'cookie', 'query', 'headers']] - Order in which language determination process follows. First successful method returns requested language. May contain names of `resolvers`.
+ * @property {Object.<string, Function>} [resolvers={}]                 - Custom methods to determine language which can be referenced by name in `order`. Called with request object, may return (or resolve to) a locale, list of locales or undefined.
+ * @property {boolean}                  [throw404=true]                 - Whether to throw 404 not found if locale in path parameter is not available. Kept for backward compatibility, `failAction` overrides it.
+ * @property {string|Function|Object.<string, (string|Function)>|null} [failAction=null] - What to do if requested locale is not available: `error`, `default`, `redirect`, `continue` or a function. String applies to `params`, `query` and `host` only, a function to all methods. May be an object to set it per method such as `{ params: 'redirect', query: 'error' }`, where `redirect` of other methods continues. Methods without fail action throw 404 for `params` if `throw404` is true, continue otherwise.
+ * @property {number}                   [failStatus=404]                - HTTP status code of the error thrown by `error` fail action.
  * @property {string|null}              [getter=i18n.getLocale]         - Getter method in request object to get current locale. May be nested object such as 'a.b.c'
  * @property {string|null}              [setter=i18n.setLocale]         - Setter method in request object to set current locale. May be nested object such as 'a.b.c'
  * @property {string|null}              [attribute=i18n.locale]         - Key in request object which will be used to store locale name. May be nested path such as 'a.b.c'.
+ * @property {string|null}              [directionGetter=i18n.getDirection] - Method in request object to get text direction (`ltr` or `rtl`) of current locale. Created if `createAccessors` is true.
  * @property {boolean}                  [createAccessors=true]          - Enables creating getter and setter methods in request object.
+ * @property {boolean}                  [translations=false]            - Whether to load JSON locale files found in `scan.path` as translation catalogs.
+ * @property {string|null}              [translator=i18n.t]             - Translate method created in request object if `translations` is true. May be nested object such as 'a.b.c'
+ * @property {boolean}                  [formatters=false]              - Whether to create `formatNumber`, `formatCurrency`, `formatDate`, `formatRelativeTime` and `formatList` methods in request object next to getter. ie. request.i18n.formatNumber
+ * @property {boolean}                  [localizeValidation=false]      - Whether to localize message of validation errors of routes which have default validation failAction (`error`) via `validation.request` key. Validation details are not exposed like hapi's default; use `validationFailAction` per route for localized details. Catalogs are loaded for validation messages even if `translations` is false.
+ * @property {boolean}                  [localizeErrors=false]          - Whether to translate `message` and `error` of Boom error responses using `errors.<code>` and `errors.<statusCode>` keys of catalogs. Catalogs are loaded even if `translations` is false.
+ * @property {string|null}              [viewContext=null]              - Key in context of view responses (@hapi/vision) to put locale, its BCP 47 tag, locales, default locale, text direction and translator/formatter methods under. ie. `i18n`. Null disables.
+ * @property {Object|null}              [tenants=null]                  - Options to resolve available locales and default locale per request from a tenant. See `TenantOptions`.
  * @property {string}                   [onEvent=onPreAuth]             - Event on which locale determination process is fired.
+ * @property {string|null}              [format=null]                   - Form of the locale stored in request attribute. `bcp47` for en-US, `underscore` for en_US, null to store it as written in available locales.
+ * @property {string}                   [lookup=truncate]               - Strategy to use if requested locale is not available. `exact` for no fallback, `truncate` for RFC 4647 lookup (de_AT → de), `language` to also try any locale of same language (de_AT → de_DE).
+ * @property {Object.<string, Array.<string>>} [fallbacks={}]           - Locales to try in order if requested locale is not available. ie. { es_MX: ['es_419', 'es'] }
+ */
+
+/**
+ * Options which can be given per route in `route.options.plugins['hapi-locale']` to override plugin options.
+ * @typedef {Object}                    RouteOptions
+ * @property {boolean}                  [enabled=true]                  - Whether to determine locale for the route. Set false for routes such as health checks and assets.
+ * @property {Array.<string>}           [locales]                       - Subset of available locales allowed in the route.
+ * @property {string}                   [default]                       - Default locale of the route. Defaults to plugin default if allowed in route, otherwise first locale of the route.
+ * @property {Array.<string>}           [order]                         - Order in which language determination process follows for the route.
+ * @property {string}                   [locale]                        - Fixed locale of the route. No determination process is made if given.
+ * @property {string}                   [prefix]                        - Locale in literal path prefix of the route, such as `tr_TR` for `/tr_TR/account`. Requested via `params` method. Set by `server.localizedRoute()`.
+ * @property {string}                   [path]                          - Path of the route without locale prefix and translation. Set by `server.localizedRoute()`.
+ * @property {Object.<string, string>}  [paths]                         - Translated paths of the route per locale for `server.localizedRoute()`. ie. `{ fr_FR: '/a-propos', tr_TR: '/hakkimizda' }`
+ */
+
+/**
+ * Descriptor of a locale.
+ * @typedef {Object}                    LocaleInfo
+ * @property {string}                   code                            - Locale. ie. ar_SA
+ * @property {string}                   [name]                          - Display name of the locale in English. Filled via `Intl.DisplayNames` if omitted and supported, otherwise code is used. ie. Arabic (Saudi Arabia)
+ * @property {string}                   [nativeName]                    - Display name of the locale in its own language. Filled like name. ie. العربية (المملكة العربية السعودية)
+ * @property {string}                   [dir]                           - Text direction: `ltr` or `rtl`. Determined from language if omitted.
+ * @property {boolean}                  [enabled=true]                  - Whether locale is available. Disabled locales are not available even if they are present on disk.
+ * @property {string|Array.<string>}    [fallback]                      - Locales to try in order if this locale is requested but not available. Merged with `fallbacks` option.
+ */
+
+/**
+ * Options to resolve available locales per tenant.
+ * @typedef {Object}                    TenantOptions
+ * @property {string|Function}          key                             - How tenant of the request is determined: `host` (hostname or its first label), `header`, `param` or a function called with request which returns tenant name. `param` cannot be used with `redirect`, since path parameters are not available before routing.
+ * @property {string}                   [header=x-tenant]               - Name of the header which has tenant name, if `key` is `header`.
+ * @property {string}                   [param=tenant]                  - Name of the path parameter which has tenant name, if `key` is `param`.
+ * @property {Object.<string, Object>}  sets                            - Locale sets of tenants keyed by tenant name. Each may have `locales`, `configFile`, `configKey`, `scan` and `default` like plugin options. Given `configKey` is looked in plugin `configFile` if tenant has no `configFile`. `default` should be one of the locales of the tenant. Catalogs found in `scan` path of a tenant are used before plugin catalogs for its requests. Requests of unknown tenants use plugin locales.
+ */
+
+/**
+ * Available locales and default locale of a tenant.
+ * @typedef {Object}                    Tenant
+ * @property {string}                   name                            - Name of the tenant.
+ * @property {Array.<string>}           locales                         - Available locales of the tenant.
+ * @property {string}                   default                         - Default locale of the tenant.
+ * @property {Object.<string, LocaleInfo>} localeInfo                   - Descriptors of locales of the tenant keyed by canonical tag of locale.
+ * @property {Object.<string, Object>|null} catalogs                    - Translation catalogs found in `scan` path of the tenant keyed by locale, or null if tenant has no `scan` option.
+ * @private
+ */
+
+/**
+ * Settings calculated for a route by merging plugin options and route options.
+ * @typedef {Object}                    RouteSettings
+ * @property {boolean}                  enabled                         - Whether to determine locale for the route.
+ * @property {Array.<string>}           locales                         - Locales available in the route.
+ * @property {string}                   default                         - Default locale of the route.
+ * @property {Array.<string>}           order                           - Order in which language determination process follows.
+ * @property {string|null}              locale                          - Fixed locale of the route.
+ * @property {string|null}              prefix                          - Locale in literal path prefix of the route, which is requested via `params` method. Set by `server.localizedRoute()`.
+ * @property {string|null}              path                            - Path of the route without locale prefix and translation. Set by `server.localizedRoute()`.
+ * @property {Object.<string, string>}  paths                           - Translated paths of the route per locale.
+ * @private
+ */
+
+/**
+ * Result of locale determination process.
+ * @typedef {Object}                    Detection
+ * @property {string}                   locale                          - Determined locale.
+ * @property {string}                   source                          - Method which determined the locale such as `params`, `query` or `default`.
+ * @property {Array.<string>}           methods                         - Methods looked to determine the locale, including the one which determined it.
+ * @property {*}                        requested                       - Raw value requested via the method which determined the locale, such as `tr-TR` or `['tr-TR', 'en']` for headers.
+ * @property {Array.<Object>}           rejected                        - `{ source, requested }` of methods looked before, whose requested values are not available.
+ * @property {string}                   [redirect]                      - URL to redirect to, if `redirect` fail action is taken.
+ * @private
+ */
+
+/**
+ * Statistics of locale determination since the server started.
+ * @typedef {Object}                    Stats
+ * @property {number}                   total                           - Number of requests which locale is determined for, including redirected and failed ones.
+ * @property {Object.<string, number>}  sources                         - Number of requests per method which determined the locale. ie. `{ params: 5, headers: 3, default: 1 }`
+ * @property {Object.<string, number>}  locales                         - Number of requests per determined locale, excluding failed ones. ie. `{ tr_TR: 6, en_US: 3 }`
+ * @property {Object.<string, number>}  misses                          - Number of requests per requested locale which is not available. ie. `{ pt_BR: 2 }`. Keeps 500 most recently missed locales.
+ */
+
+/**
+ * URL of a page for a locale.
+ * @typedef {Object}                    Alternate
+ * @property {string}                   locale                          - Locale of the URL as written in available locales.
+ * @property {string}                   hreflang                        - Locale in BCP 47 form to use in hreflang attribute, or `x-default` for default URL.
+ * @property {string}                   url                             - Absolute URL of the page.
  */
 
 /**
@@ -48,12 +176,15 @@ var locales = [];
  */
 var defaultOptions = {
     locales: [],
+    localeInfo: {},
     configFile: path.join(rootDir, 'package.json'),
     configKey: 'locales',
+    watch: false,
     scan: {
         path: path.join(rootDir, 'locales'),
         fileType: 'json',
         directories: true,
+        recursive: false,
         exclude: ['templates', 'template.json']
     },
     param: 'lang',
@@ -61,14 +192,50 @@ var defaultOptions = {
     cookie: 'lang',
     cookieKey: 'lang',
     header: 'accept-language',
+    credentialsKey: 'locale',
+    redirect: false,
+    alternates: {
+        method: null,
+        header: false
+    },
+    contentLanguage: false,
+    contentLanguageFormat: 'bcp47',
+    vary: false,
+    persist: false,
+    cookieOptions: {
+        ttl: 365 * 24 * 60 * 60 * 1000,
+        path: '/',
+        domain: null,
+        isSameSite: 'Lax',
+        isSecure: true,
+        isHttpOnly: true
+    },
+    host: {
+        domains: {},
+        subdomain: true
+    },
     order: ['params', 'cookie', 'query', 'headers'],
+    resolvers: {},
     throw404: true,
+    failAction: null,
+    failStatus: 404,
     getter: 'i18n.getLocale',
     setter: 'i18n.setLocale',
+    directionGetter: 'i18n.getDirection',
     attribute: 'i18n.locale',
     createAccessors: true,
+    translations: false,
+    translator: 'i18n.t',
+    formatters: false,
+    viewContext: null,
+    localizeValidation: false,
+    localizeErrors: false,
+    tenants: null,
     onEvent: 'onPreAuth',
     default: null,
+    format: null,
+    lookup: 'truncate',
+    fallbacks: {}
 };
 
 var orderParameters = {
@@ -76,34 +243,296 @@ var orderParameters = {
     params: 'parseParam',
     query: 'parseQuery',
     headers: 'parseHeader',
-    cookie: 'parseCookie'
+    cookie: 'parseCookie',
+    host: 'parseHost',
+    credentials: 'parseCredentials'
 };
 
+// Methods which request locale via URL, so failAction given as string applies to them and they can be redirected.
+var urlMethods = ['params', 'query', 'host'];
+
+// Values which look like a language tag such as `fr`, `pt-br` or `en_US`, so they may be treated as requested locale.
+var languageTagPattern = /^[a-z]{2,3}([-_][a-z0-9]{1,8})*$/i;
+
+// Requested values come from clients, so number of missed locales kept in stats is bounded.
+var maxMisses = 500;
+
+var localeInfoSchema = Joi.object({
+    code: Joi.string(),
+    name: Joi.string(),
+    nativeName: Joi.string(),
+    dir: Joi.valid('ltr', 'rtl'),
+    enabled: Joi.boolean(),
+    fallback: Joi.alternatives([Joi.string(), Joi.array().items(Joi.string())])
+});
+
+var localeSchema = Joi.alternatives([Joi.string(), localeInfoSchema.keys({ code: Joi.string().required() })]);
+
+var failActionSchema = Joi.alternatives([Joi.valid('error', 'default', 'redirect', 'continue'), Joi.func()]);
+
 var optionsSchema = Joi.object({
-    locales: Joi.array().items(Joi.string()).default(defaultOptions.locales),
+    locales: Joi.array().items(localeSchema).default(defaultOptions.locales),
+    localeInfo: Joi.object().pattern(Joi.string(), localeInfoSchema).default(defaultOptions.localeInfo),
     default: Joi.string().allow(null).default(defaultOptions.default),
     configFile: Joi.string().allow(null).default(defaultOptions.configFile),
     configKey: Joi.string().allow(null).default(defaultOptions.configKey),
+    watch: Joi.boolean().default(defaultOptions.watch),
     scan: Joi.object({
-        path: Joi.string().default(defaultOptions.scan.path),
-        fileType: Joi.string().default(defaultOptions.scan.fileType),
+        path: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()).min(1)).default(defaultOptions.scan.path),
+        fileType: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())).allow(null).default(defaultOptions.scan.fileType),
         directories: Joi.boolean().default(defaultOptions.scan.directories),
+        recursive: Joi.boolean().default(defaultOptions.scan.recursive),
         exclude: Joi.array().items(Joi.string()).allow(null).default(defaultOptions.scan.exclude)
     }).allow(null).default(defaultOptions.scan),
     param: Joi.string().allow(null).default(defaultOptions.param),
     query: Joi.string().allow(null).default(defaultOptions.query),
     cookie: Joi.string().allow(null).default(defaultOptions.cookie),
     cookieKey: Joi.string().allow(null).default(defaultOptions.cookieKey),
+    credentialsKey: Joi.string().default(defaultOptions.credentialsKey),
     header: Joi.string().allow(null).default(defaultOptions.header),
-    order: Joi.array().items(Joi.any().valid(...Object.keys(orderParameters))).default(defaultOptions.order),
+    redirect: Joi.object({
+        statusCode: Joi.number().valid(301, 302, 303, 307, 308).default(302),
+        exclude: Joi.array().items(Joi.string(), Joi.object().regex()).default([])
+    }).allow(false).default(defaultOptions.redirect),
+    alternates: Joi.object({
+        method: Joi.string().valid('params', 'query', 'host').allow(null).default(defaultOptions.alternates.method),
+        header: Joi.boolean().default(defaultOptions.alternates.header)
+    }).default(defaultOptions.alternates),
+    contentLanguage: Joi.boolean().default(defaultOptions.contentLanguage),
+    contentLanguageFormat: Joi.string().valid('bcp47', 'underscore').allow(null).default(defaultOptions.contentLanguageFormat),
+    vary: Joi.boolean().default(defaultOptions.vary),
+    persist: Joi.boolean().default(defaultOptions.persist),
+    cookieOptions: Joi.object({
+        ttl: Joi.number().integer().min(0).allow(null).default(defaultOptions.cookieOptions.ttl),
+        path: Joi.string().default(defaultOptions.cookieOptions.path),
+        domain: Joi.string().allow(null).default(defaultOptions.cookieOptions.domain),
+        isSameSite: Joi.any().valid('Strict', 'Lax', 'None', false).default(defaultOptions.cookieOptions.isSameSite),
+        isSecure: Joi.boolean().default(defaultOptions.cookieOptions.isSecure),
+        isHttpOnly: Joi.boolean().default(defaultOptions.cookieOptions.isHttpOnly)
+    }).default(defaultOptions.cookieOptions),
+    host: Joi.object({
+        domains: Joi.object().pattern(Joi.string(), Joi.string()).default(defaultOptions.host.domains),
+        subdomain: Joi.alternatives(Joi.boolean(), Joi.object().regex()).default(defaultOptions.host.subdomain)
+    }).allow(null).default(defaultOptions.host),
+    order: Joi.array().items(Joi.string()).default(defaultOptions.order),
+    resolvers: Joi.object().pattern(Joi.string().invalid(...Object.keys(orderParameters)), Joi.func()).default(defaultOptions.resolvers),
     throw404: Joi.boolean().default(defaultOptions.throw404),
+    failAction: Joi.alternatives([failActionSchema, Joi.object().pattern(Joi.string(), failActionSchema)]).allow(null).default(defaultOptions.failAction),
+    failStatus: Joi.number().integer().min(400).max(599).default(defaultOptions.failStatus),
     getter: Joi.string().allow(null).default(defaultOptions.getter),
     setter: Joi.string().allow(null).default(defaultOptions.setter),
+    directionGetter: Joi.string().allow(null).default(defaultOptions.directionGetter),
     attribute: Joi.string().allow(null).default(defaultOptions.attribute),
     createAccessors: Joi.string().allow(null).default(defaultOptions.createAccessors),
-    onEvent: Joi.string().default(defaultOptions.onEvent)
+    translations: Joi.boolean().default(defaultOptions.translations),
+    translator: Joi.string().allow(null).default(defaultOptions.translator),
+    formatters: Joi.boolean().default(defaultOptions.formatters),
+    viewContext: Joi.string().allow(null).default(defaultOptions.viewContext),
+    localizeValidation: Joi.boolean().default(defaultOptions.localizeValidation),
+    localizeErrors: Joi.boolean().default(defaultOptions.localizeErrors),
+    tenants: Joi.object({
+        key: Joi.alternatives([Joi.valid('host', 'header', 'param'), Joi.func()]).required(),
+        header: Joi.string().default('x-tenant'),
+        param: Joi.string().default('tenant'),
+        sets: Joi.object().pattern(Joi.string(), Joi.object({
+            locales: Joi.array().items(localeSchema),
+            configFile: Joi.string(),
+            configKey: Joi.string(),
+            scan: Joi.object().unknown(),
+            default: Joi.string()
+        })).required()
+    }).allow(null).default(defaultOptions.tenants),
+    onEvent: Joi.string().default(defaultOptions.onEvent),
+    format: Joi.string().valid('bcp47', 'underscore').allow(null).default(defaultOptions.format),
+    lookup: Joi.string().valid('exact', 'truncate', 'language').default(defaultOptions.lookup),
+    fallbacks: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())).default(defaultOptions.fallbacks)
+});
+
+var routeOptionsSchema = Joi.object({
+    enabled: Joi.boolean().default(true),
+    locales: Joi.array().items(Joi.string()).min(1),
+    default: Joi.string(),
+    order: Joi.array().items(Joi.string()),
+    locale: Joi.string(),
+    prefix: Joi.string(),
+    path: Joi.string(),
+    paths: Joi.object().pattern(Joi.string(), Joi.string())
 });
 
+/**
+ * Splits given language tag into its subtags and fixes their case as recommended by BCP 47. Both hyphen and underscore
+ * are accepted as separator, so `en-us`, `EN_us` and `en_US` all result in ['en', 'US'].
+ * @param {string}          tag     - Language tag. ie. en_US, zh-Hant-TW
+ * @returns {Array.<string>}        - Canonical subtags. ie. ['zh', 'Hant', 'TW']
+ * @private
+ */
+function canonicalSubtags(tag) {
+    return String(tag).split(/[-_]/).filter(Boolean).map(function (subtag, index) {
+        if (index === 0) return subtag.toLowerCase();                                                           // Language
+        if (/^[a-z]{4}$/i.test(subtag)) return subtag.charAt(0).toUpperCase() + subtag.slice(1).toLowerCase(); // Script
+        if (/^([a-z]{2}|[0-9]{3})$/i.test(subtag)) return subtag.toUpperCase();                                // Region
+        return subtag.toLowerCase();                                                                            // Variants & extensions
+    });
+}
+
+/**
+ * Returns canonical form of given language tag, which is used to compare tags written in different conventions.
+ * @param {string}          tag     - Language tag. ie. en_us
+ * @returns {string}                - Canonical BCP 47 tag. ie. en-US
+ * @private
+ */
+function canonicalTag(tag) {
+    return canonicalSubtags(tag).join('-');
+}
+
+/**
+ * Returns lookup chain of given language tag as described in RFC 4647 section 3.4: subtags are removed from the end one
+ * by one, also removing a single character subtag (extension singleton) left at the end.
+ * @param {string}          tag     - Language tag. ie. zh-Hant-TW
+ * @returns {Array.<string>}        - Canonical tags from most to least specific. ie. ['zh-Hant-TW', 'zh-Hant', 'zh']
+ * @private
+ */
+function truncationChain(tag) {
+    let subtags = canonicalSubtags(tag),
+        chain = [];
+
+    while (subtags.length > 0) {
+        chain.push(subtags.join('-'));
+        subtags.pop();
+        if (subtags.length > 1 && subtags[subtags.length - 1].length === 1) subtags.pop();
+    }
+
+    return chain;
+}
+
+/**
+ * Languages written from right to left.
+ * @type {Array.<string>}
+ * @private
+ */
+var rtlLanguages = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+
+/**
+ * Returns text direction of given locale.
+ * @param {string}          locale  - Locale. ie. ar_SA
+ * @returns {string}                - `rtl` or `ltr`
+ * @private
+ */
+function localeDirection(locale) {
+    return rtlLanguages.indexOf(canonicalSubtags(locale)[0]) > -1 ? 'rtl' : 'ltr';
+}
+
+/**
+ * Returns display name of given locale in given language via `Intl.DisplayNames`, or undefined if it is not supported
+ * by the runtime or locale is not a valid language tag.
+ * @param {string}          locale      - Locale to get name of. ie. ar_SA
+ * @param {string}          language    - Language of the name. ie. en
+ * @returns {string|undefined}          - Display name. ie. Arabic (Saudi Arabia)
+ * @private
+ */
+function displayName(locale, language) {
+    if (typeof Intl.DisplayNames !== 'function') return;
+
+    try {
+        return intl(Intl.DisplayNames, language, { type: 'language' }).of(canonicalTag(locale));
+    } catch (err) {
+        return;
+    }
+}
+
+/**
+ * Converts given locale to requested form.
+ * @param {string}          locale  - Locale to convert.
+ * @param {string|null}     format  - `bcp47` for en-US, `underscore` for en_US, null to return locale as it is.
+ * @returns {string}                - Converted locale.
+ * @private
+ */
+function formatLocale(locale, format) {
+    if (format === 'bcp47') return canonicalSubtags(locale).join('-');
+    if (format === 'underscore') return canonicalSubtags(locale).join('_');
+    return locale;
+}
+
+/**
+ * Returns given path prefixed with given locale.
+ * @param {string}          locale  - Locale. ie. tr_TR
+ * @param {string}          path    - Path. ie. /account
+ * @returns {string}                - Prefixed path. ie. /tr_TR/account
+ * @private
+ */
+function prefixPath(locale, path) {
+    return '/' + locale + (path === '/' ? '' : path);
+}
+
+/**
+ * Returns translated path for given locale, or given path if there is no translation.
+ * @param {Object.<string, string>} paths   - Translated paths per locale. ie. { fr_FR: '/a-propos' }
+ * @param {string}          locale          - Locale. ie. fr-FR
+ * @param {string}          path            - Path to return if there is no translation. ie. /about
+ * @returns {string}                        - Path. ie. /a-propos
+ * @private
+ */
+function translatePath(paths, locale, path) {
+    return lodash.find(paths, function (translated, key) { return canonicalTag(key) === canonicalTag(locale); }) || path;
+}
+
+/**
+ * Places given parameters in hapi.js path such as `/users/{id}/{file*}`. Optional and wildcard parameters may be omitted.
+ * @param {string}          path    - Path of the route.
+ * @param {Object}          params  - Values of the parameters.
+ * @returns {string}                - Path with parameters.
+ * @throws {Error}                  - Throws error if a required parameter is missing.
+ * @private
+ */
+function fillPath(path, params) {
+    return path.replace(/\{(\w+)(\*\d*)?(\?)?\}/g, function (match, name, wildcard, optional) {
+        let value = params && params[name];
+
+        if (value === undefined || value === null || value === '') {
+            if (optional || wildcard === '*') return '';
+            throw new Error('Parameter ' + name + ' of path ' + path + ' is required.');
+        }
+
+        return wildcard ? String(value).split('/').map(encodeURIComponent).join('/') : encodeURIComponent(value);
+    });
+}
+
+/**
+ * Returns index of the path segment holding given parameter, such as `{lang}` or optional `{lang?}`.
+ * @param {string}          path    - Path of the route. ie. /{lang?}/account
+ * @param {string}          param   - Name of the parameter. ie. lang
+ * @returns {number}                - Index of the segment, -1 if route has no such parameter.
+ * @private
+ */
+function paramIndex(path, param) {
+    return lodash.findIndex(path.split('/'), function (segment) { return segment === '{' + param + '}' || segment === '{' + param + '?}'; });
+}
+
+/**
+ * Converts given error thrown by user code, such as a resolver, into internal server error. Thrown values which are not
+ * `Error` instances (ie. a string) are wrapped, since `Boom.boomify()` accepts errors only.
+ * @param {*}               err     - Thrown value.
+ * @returns {Boom}                  - Error to throw.
+ * @private
+ */
+function internalError(err) {
+    return err instanceof Error ? Boom.boomify(err) : Boom.badImplementation(String(err));
+}
+
+/**
+ * Returns closest locale for requested locale(s) which are not available: first locale with the same language, or
+ * given fallback.
+ * @param {string|Array.<string>} requested - Requested locale or list of requested locales. ie. pt
+ * @param {Array.<string>}  locales         - Locales to choose from.
+ * @param {string}          fallback        - Locale to return if no locale with the same language is available.
+ * @returns {string}                        - Closest locale. ie. pt_BR
+ * @private
+ */
+function closestLocale(requested, locales, fallback) {
+    let languages = lodash.castArray(requested).map(function (one) { return canonicalSubtags(one)[0]; });
+    return lodash.find(locales, function (locale) { return languages.indexOf(canonicalSubtags(locale)[0]) > -1; }) || fallback;
+}
+
 /**
  * Class to implement inner working of plugin.
  * @param {PluginOptions} options     - Plugin configuration options.
@@ -117,87 +546,360 @@ var Internal = function (options) {
     }
 
     this.options = Joi.attempt(options, optionsSchema);
-    this.locales = this.getAvailableLocales();
-    this.default = this.options.default || this.locales[0];
+    this.checkOrder(this.options.order);
+
+    // Redirect is done before routing, so tenant cannot be determined from path parameters then.
+    if (this.options.redirect && this.options.tenants && this.options.tenants.key === 'param') {
+        throw new Error('Tenant key cannot be param if redirect is set, since path parameters are not available before routing.');
+    }
+
+    this.locales = [];      // Determined asynchronously by loadLocales() during plugin registration.
+    this.allLocales = [];   // Locales of plugin and tenants, which localized routes are registered for.
+    this.default = this.options.default;
+    this.catalogs = {};
+    this.messageCache = new Map();
+    this.fallbacks = lodash.mapKeys(this.options.fallbacks, function (value, key) { return canonicalTag(key); });
+    this.routeSettingsCache = new WeakMap();
+    this.stats = { total: 0, sources: {}, locales: {}, misses: {} };
+    this.localizedRoutes = [];
+    this.routeIds = {};
+    this.tenantSets = {};
+    this.localeInfo = {};
+    this.tenantCache = new WeakMap();
     //this.callback   = this.getCallback(this.options.callback);
 };
 
 /**
- * Returns requested languages as an array by looking url part.
+ * Checks whether all methods in given order are built-in methods or custom resolvers.
+ * @param {Array.<string>}  order       - Order in which language determination process follows.
+ * @throws {Error}                      - Throws error if order contains unknown method.
+ * @private
+ */
+Internal.prototype.checkOrder = function checkOrder(order) {
+    let unknownMethods = lodash.difference(order, Object.keys(orderParameters).concat(Object.keys(this.options.resolvers)));
+    if (unknownMethods.length > 0) {
+        throw new Error('Order contains unknown method(s) (' + unknownMethods.join(', ') + '). Custom methods should be added to resolvers.');
+    }
+};
+
+/**
+ * Returns settings of the route of given request by merging plugin options with route options given in
+ * `route.options.plugins['hapi-locale']`. Locales of the tenant of the request are used as available locales if
+ * `options.tenants` is set.
+ * @param {Object}              request - hapi.js request object
+ * @returns {RouteSettings}             - Settings to use for the request.
+ * @throws {Boom}                       - Throws internal server error if route options are invalid.
+ * @private
+ */
+Internal.prototype.routeSettings = function routeSettings(request) {
+    return this.settingsOf(request.route, this.tenant(request));
+};
+
+/**
+ * Returns settings of given route for given tenant. Settings are calculated once for every route and tenant.
+ * @param {Object}              route   - hapi.js route object such as `request.route` or an item of `server.table()`.
+ * @param {Tenant|null}         tenant  - Tenant whose locales are available, or null for locales of the plugin.
+ * @returns {RouteSettings}             - Settings of the route.
+ * @throws {Boom}                       - Throws internal server error if route options are invalid.
+ * @private
+ */
+Internal.prototype.settingsOf = function settingsOf(route, tenant) {
+    let routeOptions = route.settings,
+        cache = this.routeSettingsCache.get(routeOptions) || new Map(),
+        settings = cache.get(tenant ? tenant.name : null);
+
+    if (settings) return settings;
+
+    try {
+        let config = Joi.attempt(lodash.get(routeOptions, ['plugins', pkg.name], {}), routeOptionsSchema),
+            baseLocales = tenant ? tenant.locales : this.locales,
+            baseDefault = tenant ? tenant.default : this.default,
+            available = lodash.keyBy(baseLocales, canonicalTag),
+            find = function (locale) {
+                if (!available[canonicalTag(locale)]) throw new Error('Locale ' + locale + ' is not available.');
+                return available[canonicalTag(locale)];
+            },
+            locales = config.locales ? lodash.uniq(config.locales.map(find)) : baseLocales;
+
+        if (config.order) this.checkOrder(config.order);
+
+        settings = {
+            enabled: config.enabled,
+            locales: locales,
+            default: config.default ? find(config.default) : (locales.indexOf(baseDefault) > -1 ? baseDefault : locales[0]),
+            order: config.order || this.options.order,
+            locale: config.locale ? find(config.locale) : null,
+            prefix: config.prefix || null,
+            path: config.path || null,
+            paths: config.paths || {}
+        };
+    } catch (err) {
+        throw Boom.badImplementation('Invalid ' + pkg.name + ' options for route ' + route.method + ' ' + route.path + ': ' + err.message);
+    }
+
+    cache.set(tenant ? tenant.name : null, settings);
+    this.routeSettingsCache.set(routeOptions, cache);
+    return settings;
+};
+
+
+/**
+ * Validates plugin options of given route. Locales given in options are checked per request instead, since available
+ * locales may change via `reloadLocales()` and may differ per tenant.
+ * @param {Object}              route   - hapi.js route object such as an item of `server.table()`.
+ * @throws {Error}                      - Throws error if route options are invalid.
+ * @private
+ */
+Internal.prototype.validateRoute = function validateRoute(route) {
+    try {
+        let config = Joi.attempt(lodash.get(route.settings, ['plugins', pkg.name], {}), routeOptionsSchema);
+        if (config.order) this.checkOrder(config.order);
+    } catch (err) {
+        throw new Error('Invalid ' + pkg.name + ' options for route ' + route.method + ' ' + route.path + ': ' + err.message);
+    }
+};
+
+
+/**
+ * Returns tenant of given request, or null if `options.tenants` is not set or tenant is unknown. Tenant is determined
+ * once for every request.
+ * @param {Object}              request - hapi.js request object
+ * @returns {Tenant|null}               - Tenant with its locales and default locale.
+ * @private
+ */
+Internal.prototype.tenant = function tenant(request) {
+    let options = this.options.tenants,
+        sets = this.tenantSets;
+
+    if (!options) return null;
+    if (this.tenantCache.has(request)) return this.tenantCache.get(request);
+
+    let names;
+
+    if (typeof options.key === 'function') {
+        names = [options.key(request)];
+    } else if (options.key === 'host') {
+        let hostname = (request.info.hostname || '').toLowerCase();
+        names = [hostname, hostname.split('.')[0]];
+    } else if (options.key === 'header') {
+        names = [request.headers[options.header.toLowerCase()]];
+    } else {
+        names = [request.params && request.params[options.param]];
+    }
+
+    let name = lodash.find(names, function (name) { return typeof name === 'string' && sets.hasOwnProperty(name); }),
+        result = name ? Object.assign({ name: name }, sets[name]) : null;
+
+    // Path parameters are not available before routing, so tenant is not cached then.
+    if (options.key !== 'param' || request.params) this.tenantCache.set(request, result);
+    return result;
+};
+
+
+/**
+ * Returns available locales and default locale of the request, which are of its tenant if `options.tenants` is set.
+ * @param {Object}              request - hapi.js request object
+ * @returns {{locales: Array.<string>, default: string}} - Locales and default locale.
+ * @private
+ */
+Internal.prototype.requestLocales = function requestLocales(request) {
+    let tenant = request && this.tenant(request);
+    return tenant ? { locales: tenant.locales, default: tenant.default } : { locales: this.locales, default: this.default };
+};
+
+/**
+ * Returns requested languages as an array by looking url part. Locale in literal path prefix of routes registered via
+ * `server.localizedRoute()` is used if route has no path parameter.
  * @param {Object}          request     - Hapi request object.
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
  * @returns {string|undefined}          - Requested locale or undefined.
  * @private
  */
-Internal.prototype.parseParam = function parseParam(request) {
-    
-    if (!request.params.hasOwnProperty(this.options.param)) return;
+Internal.prototype.parseParam = function parseParam(request, locales, details) {
     var name = this.options.param,
-        locales = lodash.get(request.params, name),
-        match = this.bestMatch(locales);
+        requested = request.params.hasOwnProperty(name) ? lodash.get(request.params, name) : this.routeSettings(request).prefix;
 
-    if (!match && this.options.throw404) {
-        throw new Error('Requested locale/language ' + locales + ' cannot be found.');
-    }
-
-    return match;
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
 };
 
 /**
  * Returns requested languages as an array by looking query parameter.
  * @param {Object}          request     - Hapi request object.
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
  * @returns {string|undefined}          - Requested locale or undefined.
  * @private
  */
-Internal.prototype.parseQuery = function parseQuery(request) {
+Internal.prototype.parseQuery = function parseQuery(request, locales, details) {
     var name = this.options.query,
-        locales = lodash.get(request.query, name);
+        requested = lodash.get(request.query, name);
 
-    return this.bestMatch(locales);
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
 };
 
 /**
  * Returns requested language from cookie if found in available languages.
  * @param {Object}          request     - Hapi request object.
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
  * @returns {string|undefined}          - Requested locale or undefined.
  * @private
  */
-Internal.prototype.parseCookie = function parseCookie(request) {
+Internal.prototype.parseCookie = function parseCookie(request, locales, details) {
     
     var name = this.options.cookie,
         key = this.options.cookieKey,
-        locales = lodash.get(request.state[name], key);
+        requested = key ? lodash.get(request.state[name], key) : request.state[name];
 
-    return this.bestMatch(locales);
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
 };
 
 /**
  * Returns requested language from header if found in available languages.
  * @param {Object}          request     - Hapi request object
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
  * @returns {string|undefined}          - Requested locale or undefined.
  * @private
  */
-Internal.prototype.parseHeader = function parseHeader(request) {
+Internal.prototype.parseHeader = function parseHeader(request, locales, details) {
     var name = this.options.header,
         raw = headerParser.parse(request.headers[name]),
-        locales = raw.map(function (value) {
-            return value.region ? value.code + '_' + value.region : value.code;
+        requested = raw.map(function (value) {
+            return [value.code, value.script, value.region].filter(Boolean).join('-');
         });
 
-    return this.bestMatch(locales);
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
+};
+
+/**
+ * Returns requested language from hostname of the request. Explicit domains in options.host.domains are tried first
+ * (longest matching domain wins), then subdomain of the hostname. Subdomains which do not look like a language tag
+ * (ie. `www`) and IP addresses request nothing.
+ * @param {Object}          request     - Hapi request object
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
+ * @returns {string|undefined}          - Requested locale or undefined.
+ * @private
+ */
+Internal.prototype.parseHost = function parseHost(request, locales, details) {
+    if (!this.options.host || !request.info.hostname) return;
+
+    let hostname = request.info.hostname.toLowerCase(),
+        domains = lodash.mapKeys(this.options.host.domains, function (locale, domain) { return domain.toLowerCase(); }),
+        subdomain = this.options.host.subdomain,
+        requested = [];
+
+    let domain = lodash.maxBy(Object.keys(domains).filter(function (domain) {
+        return hostname === domain || lodash.endsWith(hostname, '.' + domain);
+    }), 'length');
+
+    if (domain) requested.push(domains[domain]);
+
+    if (subdomain instanceof RegExp) {
+        let match = hostname.match(subdomain);
+        if (match && match[1]) requested.push(match[1]);
+    } else if (subdomain && hostname.split('.').length > 2 && !net.isIP(hostname)) {
+        let label = hostname.split('.')[0];
+        if (label !== 'www' && languageTagPattern.test(label)) requested.push(label);
+    }
+
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
+};
+
+/**
+ * Returns requested language from credentials of authenticated request, such as saved preference of the user.
+ * Credentials are not available before authentication, so nothing is requested in that case.
+ * @param {Object}          request     - Hapi request object
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
+ * @returns {string|undefined}          - Requested locale or undefined.
+ * @private
+ */
+Internal.prototype.parseCredentials = function parseCredentials(request, locales, details) {
+    var credentials = request.auth && request.auth.credentials,
+        requested = credentials ? lodash.get(credentials, this.options.credentialsKey) : undefined;
+
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
+};
+
+/**
+ * Returns requested language by calling custom resolver given in options.resolvers.
+ * @param {Object}          request     - Hapi request object.
+ * @param {string}          name        - Name of the resolver.
+ * @param {Array.<string>}  [locales]   - Locales available for the request. Defaults to all available locales.
+ * @param {Object}          [details]   - Object to write raw requested value into as `requested`.
+ * @returns {Promise.<string|undefined>} - Requested locale or undefined.
+ * @throws {Boom}                       - Throws error of the resolver as internal server error.
+ * @private
+ */
+Internal.prototype.parseResolver = async function parseResolver(request, name, locales, details) {
+    try {
+        var requested = await this.options.resolvers[name](request);
+    } catch (err) {
+        throw internalError(err);
+    }
+
+    if (details) details.requested = requested;
+    return this.bestMatch(requested, locales);
 };
 
 /**
  * Returns best match for requested locale among available locales. First matched locale will be returned.
+ * Requested locales are compared in canonical form, so `en-us`, `EN_us` and `en_US` all match available `en_US`.
+ * Every requested locale is tried with its fallbacks and lookup strategy (see `options.lookup`) before next one.
  * @param {string|Array.<string>} requested     - Requested locale or list of requested locales.
- * @returns {string|undefined}                  - Matched locale or null if not any match found.
+ * @param {Array.<string>}        [locales]     - Locales to choose from. Defaults to all available locales.
+ * @returns {string|undefined}                  - Matched locale as written in available locales or undefined if not any match found.
  * @private
  */
-Internal.prototype.bestMatch = function bestMatch(requested) {
+Internal.prototype.bestMatch = function bestMatch(requested, locales) {
     if (!requested) return;
     if (!Array.isArray(requested)) requested = [requested];
 
     for (let one of requested) {
-        if (this.locales.indexOf(one) > -1) return one;
+        if (typeof one !== 'string') continue;
+        let match = this.lookupLocale(one, locales);
+        if (match) return match;
+    }
+};
+
+/**
+ * Returns available locale for single requested locale by trying in order:
+ * 1. Requested locale itself and its fallbacks in `options.fallbacks`.
+ * 2. If `options.lookup` is not `exact`, truncated forms of requested locale and their fallbacks. ie. de_AT → de
+ * 3. If `options.lookup` is `language`, first available locale with same language. ie. de_AT → de_DE
+ * @param {string}          requested   - Requested locale.
+ * @param {Array.<string>}  [locales]   - Locales to choose from. Defaults to all available locales.
+ * @returns {string|undefined}          - Matched locale as written in available locales or undefined if not any match found.
+ * @private
+ */
+Internal.prototype.lookupLocale = function lookupLocale(requested, locales) {
+    locales = locales || this.locales;
+
+    let available = lodash.keyBy(locales, canonicalTag),
+        chain = truncationChain(requested);
+
+    if (this.options.lookup === 'exact') chain = chain.slice(0, 1);
+
+    for (let tag of chain) {
+        let candidates = [tag].concat(this.fallbacks[tag] || []);
+        for (let candidate of candidates) {
+            let match = available[canonicalTag(candidate)];
+            if (match) return match;
+        }
+    }
+
+    if (this.options.lookup === 'language') {
+        let language = canonicalSubtags(requested)[0];
+        return lodash.find(locales, function (locale) { return canonicalSubtags(locale)[0] === language; });
     }
 };
 
@@ -227,33 +929,72 @@ function fileExists(path, shouldBeDir) {
 
 
 /**
- * Scans path in options.scan.path and returns list of available locale files.
- * @returns {Array.<string>}
- * @throws {Error} - Throws error if locales directory is not found.
+ * Scans paths in options.scan.path and returns list of available locale files.
+ * @returns {Promise.<Array.<string>>}
+ * @throws {Error} - Throws error if a locales directory is not found.
  * @private
  */
-Internal.prototype.scan = function scan() {
-    // Check if scan path is available
-    if (this.options.scan && !fileExists(this.options.scan.path, true)) {
-        throw new Error('Locales directory "' + this.options.scan.path + '"cannot be found.');
+Internal.prototype.scan = async function scan(options) {
+    options = options || this.options;
+
+    let locales = [];
+
+    for (let dir of lodash.castArray(options.scan.path)) {
+        // Check if scan path is available
+        try {
+            var stat = await fs.promises.stat(dir);
+        } catch (err) {
+            stat = null;
+        }
+
+        if (!stat || !stat.isDirectory()) {
+            throw new Error('Locales directory "' + dir + '" cannot be found.');
+        }
+
+        locales = locales.concat(await this.scanDirectory(dir, options.scan.recursive, options));
     }
 
-    let dir = this.options.scan.path,
-        files = fs.readdirSync(dir),
+    return lodash.uniq(locales);
+};
+
+
+/**
+ * Scans given directory and returns locales from names of files having one of options.scan.fileType extensions.
+ * Subdirectories are either scanned too (recursive, ie. locales/<namespace>/<locale>.json) or their names are used as
+ * locales if options.scan.directories is true (ie. locales/<locale>/<namespace>.json).
+ * @param {string}          dir         - Directory to scan.
+ * @param {boolean}         recursive   - Whether to scan subdirectories.
+ * @returns {Promise.<Array.<string>>}
+ * @private
+ */
+Internal.prototype.scanDirectory = async function scanDirectory(dir, recursive, options) {
+    options = options || this.options;
+
+    let files = await fs.promises.readdir(dir),
+        fileTypes = options.scan.fileType && lodash.castArray(options.scan.fileType).map(function (fileType) {
+            return fileType.replace(/^\./, '').toLowerCase();
+        }),
         locales = [];
 
     for (let file of files) {
-        let fullPath = path.join(dir, file);
+        let fullPath = path.join(dir, file),
+            extension = path.extname(file);
 
-        // Skip if it is in exclude list or it is directory and scan.directories is false
-        if (this.options.scan.exclude.indexOf(file) > -1 || (fs.statSync(fullPath).isDirectory() && !this.options.scan.directories)) {
-            continue;
-        }
+        // Skip if it is in exclude list
+        if (options.scan.exclude.indexOf(file) > -1) continue;
 
-        locales.push(path.basename(file, path.extname(file)));  // Strip extension such as .json
+        if ((await fs.promises.stat(fullPath)).isDirectory()) {
+            if (recursive) {
+                locales = locales.concat(await this.scanDirectory(fullPath, true, options));
+            } else if (options.scan.directories) {
+                locales.push(file);
+            }
+        } else if (!fileTypes || fileTypes.indexOf(extension.slice(1).toLowerCase()) > -1) {
+            locales.push(path.basename(file, extension));   // Strip extension such as .json
+        }
     }
 
-    return lodash.uniq(locales);
+    return locales;
 };
 
 
@@ -261,37 +1002,48 @@ Internal.prototype.scan = function scan() {
  * Determines which locales are available. It tries to determine available locales in given order:
  * 1. Returns if locales are present in options.locales.
  * 2. If not found, looks for given config file and searches opted key in config file.
- * 3. If not found, scans path given in options.scan.path for files and directories excluding files in options.scan.exclude.
- * @returns {Array|null}    - List of available locales
- * @throws {Error}          - Throws error if necessary files are not found or no locales are available.
+ * 3. If not found, scans paths given in options.scan.path for files and directories excluding files in options.scan.exclude.
+ * Disabled locales are excluded.
+ * @param {Object}              [options]   - Options to use instead of plugin options, such as options of a tenant.
+ * @param {Object.<string, LocaleInfo>} [infos] - Object to write descriptors of found locales into, keyed by locale.
+ * @returns {Promise.<Array>}   - List of available locales
+ * @throws {Error}              - Throws error if necessary files are not found or no locales are available.
  * @private
  */
-Internal.prototype.getAvailableLocales = function getAvailableLocales() {
-    
+Internal.prototype.getAvailableLocales = async function getAvailableLocales(options, infos) {
+    options = options || this.options;
+
     let locales = [];
 
-    if (Array.isArray(this.options.locales) && this.options.locales.length > 0) {
-        locales = this.options.locales;
+    if (Array.isArray(options.locales) && options.locales.length > 0) {
+        locales = options.locales;
         if (!Array.isArray(locales)) locales = [];
     }
 
     // Config file
-    if (locales.length === 0 && this.options.configFile) {
+    if (locales.length === 0 && options.configFile) {
 
         // Check if config file is available
-        if (!fileExists(this.options.configFile, false)) {
-            throw new Error('Configuration file "' + this.options.configFile + '" cannot be found');
+        if (!fileExists(options.configFile, false)) {
+            throw new Error('Configuration file "' + options.configFile + '" cannot be found');
         }
 
-        locales = lodash.get(require(this.options.configFile), this.options.configKey);       // key chain string to reference: 'options.locale' => options.locale
+        delete require.cache[require.resolve(options.configFile)];                         // Read up to date file on reload.
+        locales = lodash.get(require(options.configFile), options.configKey);       // key chain string to reference: 'options.locale' => options.locale
         if (!Array.isArray(locales)) locales = [];
     }
 
     // Locale files
-    if (locales.length === 0 && this.options.scan.path) {
-        locales = this.scan();
+    if (locales.length === 0 && options.scan && options.scan.path) {
+        locales = await this.scan(options);
     }
 
+    locales = this.describeLocales(Joi.attempt(locales, Joi.array().items(localeSchema)), infos).filter(function (info) {
+        return info.enabled;
+    }).map(function (info) {
+        return info.code;
+    });
+
     if (locales.length === 0) {
         throw new Error('Cannot found any locale.')
     }
@@ -301,39 +1053,726 @@ Internal.prototype.getAvailableLocales = function getAvailableLocales() {
 
 
 /**
- * @param {Object}              request - hapi.js request object
- * @returns {string|undefined}          - Locale
+ * Completes descriptors of given locales using `options.localeInfo`. Names are filled via `Intl.DisplayNames` and
+ * direction is determined from language if they are not given.
+ * @param {Array.<(string|LocaleInfo)>} locales - Locales or their descriptors.
+ * @param {Object.<string, LocaleInfo>} [infos] - Object to write descriptors into, keyed by canonical tag of locale.
+ * @returns {Array.<LocaleInfo>}        - Descriptors.
  * @private
  */
-Internal.prototype.determineLocale = function determineLocale(request) {
-    let requestedLocale;
+Internal.prototype.describeLocales = function describeLocales(locales, infos) {
+    let localeInfo = lodash.mapKeys(this.options.localeInfo, function (value, key) { return canonicalTag(key); });
 
-    for (let method of this.options.order) {
-        requestedLocale = this[orderParameters[method]](request);       // this.parseParam | this.parseCookie ... etc.
-        if (requestedLocale) break;
-    }
+    return locales.map(function (locale) {
+        let given = typeof locale === 'string' ? { code: locale } : locale,
+            info = Object.assign({}, localeInfo[canonicalTag(given.code)], given);
+
+        info = {
+            code: info.code,
+            name: info.name || displayName(info.code, 'en') || info.code,
+            nativeName: info.nativeName || displayName(info.code, canonicalTag(info.code)) || info.code,
+            dir: info.dir || localeDirection(info.code),
+            enabled: info.enabled !== false,
+            fallback: info.fallback ? lodash.castArray(info.fallback) : []
+        };
 
-    return requestedLocale || this.default;
+        if (infos) infos[canonicalTag(info.code)] = info;
+        return info;
+    });
 };
 
 
 /**
- *
- * @param {Object}              request - hapi.js request object
- * @param {Function}            reply   - hapi.js reply object
- * @returns {*}
+ * Determines available locales and updates default locale unless it is given in options. Called during plugin
+ * registration and whenever locales are reloaded.
+ * @returns {Promise.<Array.<string>>}  - List of available locales
+ * @throws {Error}                      - Throws error if no locales are available. Previous locales are kept in that case.
+ * @private
  */
-Internal.prototype.processRequest = function processRequest(request, h) {
-    
-    try {
-        var locale = this.determineLocale(request);
-    } catch (err) {
-        throw Boom.notFound(err);
-    }
+Internal.prototype.loadLocales = async function loadLocales() {
+    let infos = {},
+        locales = await this.getAvailableLocales(null, infos),
+        tenantSets = await this.loadTenants(),
+        allLocales = lodash.union.apply(lodash, [locales].concat(lodash.map(tenantSets, 'locales')));
 
-    let getter = this.options.getter,
-        setter = this.options.setter,
-        attribute = this.options.attribute;
+    let useCatalogs = this.options.translations || this.options.localizeValidation || this.options.localizeErrors;
+
+    this.catalogs = useCatalogs ? await this.loadCatalogs(allLocales) : {};
+
+    for (let name of Object.keys(tenantSets)) {
+        let scan = this.options.tenants.sets[name].scan;
+        tenantSets[name].catalogs = useCatalogs && scan ? await this.loadCatalogs(tenantSets[name].locales, Object.assign({}, defaultOptions.scan, scan)) : null;
+    }
+
+    this.locales = locales;
+    this.allLocales = allLocales;
+    this.default = this.options.default || this.locales[0];
+    this.tenantSets = tenantSets;
+    this.localeInfo = infos;
+
+    // Fallbacks of plugin descriptors have priority over tenant ones, and first tenant describing a locale wins.
+    this.fallbacks = Object.assign(lodash.transform([infos].concat(lodash.map(tenantSets, 'localeInfo')), function (result, tenantInfos) {
+        lodash.forEach(tenantInfos, function (info, tag) {
+            if (info.fallback.length > 0 && !result[tag]) result[tag] = info.fallback;
+        });
+    }, {}), lodash.mapKeys(this.options.fallbacks, function (value, key) { return canonicalTag(key); }));
+    this.routeSettingsCache = new WeakMap();
+
+    return this.locales;
+};
+
+
+/**
+ * Determines available locales and default locale of every tenant in `options.tenants.sets`. Locales of a tenant are
+ * determined like plugin locales using its own `locales`, `configFile`, `configKey` and `scan` options. Descriptors of
+ * locales are kept per tenant, so tenants describing the same locale differently do not overwrite each other.
+ * @returns {Promise.<Object.<string, Tenant>>} - Locale sets keyed by tenant name.
+ * @throws {Error}                      - Throws error if no locales are available for a tenant, or its default locale is not
+ *                                        available.
+ * @private
+ */
+Internal.prototype.loadTenants = async function loadTenants() {
+    let sets = {};
+
+    for (let name of Object.keys(this.options.tenants ? this.options.tenants.sets : {})) {
+        let set = this.options.tenants.sets[name],
+            options = Object.assign({}, this.options, {
+                locales: set.locales || [],
+                configFile: set.configFile || (set.configKey ? this.options.configFile : null),
+                configKey: set.configKey || this.options.configKey,
+                scan: set.scan ? Object.assign({}, defaultOptions.scan, set.scan) : null
+            });
+
+        let infos = {},
+            locales;
+
+        try {
+            locales = await this.getAvailableLocales(options, infos);
+        } catch (err) {
+            throw new Error('Tenant ' + name + ': ' + err.message);
+        }
+
+        let defaultLocale = set.default ? lodash.find(locales, function (locale) { return canonicalTag(locale) === canonicalTag(set.default); }) : locales[0];
+        if (!defaultLocale) throw new Error('Tenant ' + name + ': Default locale ' + set.default + ' is not available.');
+
+        sets[name] = { locales: locales, default: defaultLocale, localeInfo: infos };
+    }
+
+    return sets;
+};
+
+
+/**
+ * Loads translation catalogs of given locales from JSON files in options.scan.path. Following layouts are supported:
+ * - `<path>/<locale>.json`: Keys of the file are used as they are.
+ * - `<path>/<locale>/<namespace>.json`: Keys of the file are placed under namespace. ie. `common.title`
+ * - `<path>/<namespace>/<locale>.json`: Same as above, if options.scan.recursive is true.
+ * Files of locales which are not available are skipped.
+ * @param {Array.<string>}      locales - Available locales.
+ * @param {Object}              [scan]  - Scan options to find files with. Defaults to options.scan.
+ * @returns {Promise.<Object.<string, Object>>} - Catalogs keyed by locale.
+ * @throws {Error}                      - Throws error if a file cannot be parsed.
+ * @private
+ */
+Internal.prototype.loadCatalogs = async function loadCatalogs(locales, scan) {
+    scan = scan === undefined ? this.options.scan : scan;
+
+    let available = lodash.keyBy(locales, canonicalTag),
+        recursive = scan && scan.recursive,
+        exclude = (scan && scan.exclude) || [],
+        catalogs = {};
+
+    let readCatalog = async function (file) {
+        let content = await fs.promises.readFile(file, 'utf8');
+        try {
+            return content.trim() ? JSON.parse(content) : {};
+        } catch (err) {
+            throw new Error('Translation file "' + file + '" cannot be parsed: ' + err.message);
+        }
+    };
+
+    let loadDirectory = async function (dir, namespace, locale) {
+        for (let file of await fs.promises.readdir(dir)) {
+            let fullPath = path.join(dir, file),
+                name = path.basename(file, path.extname(file));
+
+            if (exclude.indexOf(file) > -1) continue;
+
+            if ((await fs.promises.stat(fullPath)).isDirectory()) {
+                if (locale || recursive) {
+                    await loadDirectory(fullPath, namespace.concat(file), locale);           // <namespace>/.../<locale>.json
+                } else if (available[canonicalTag(file)]) {
+                    await loadDirectory(fullPath, namespace, available[canonicalTag(file)]); // <locale>/<namespace>.json
+                }
+                continue;
+            }
+
+            if (path.extname(file).toLowerCase() !== '.json') continue;
+
+            let fileLocale = locale || available[canonicalTag(name)],
+                keys = locale ? namespace.concat(name) : namespace;
+
+            if (!fileLocale) continue;
+
+            let catalog = await readCatalog(fullPath);
+            catalogs[fileLocale] = catalogs[fileLocale] || {};
+
+            if (keys.length > 0) {
+                lodash.set(catalogs[fileLocale], keys, lodash.merge(lodash.get(catalogs[fileLocale], keys, {}), catalog));
+            } else {
+                lodash.merge(catalogs[fileLocale], catalog);
+            }
+        }
+    };
+
+    for (let dir of scan ? lodash.castArray(scan.path) : []) {
+        if (fileExists(dir, true)) await loadDirectory(dir, [], null);
+    }
+
+    return catalogs;
+};
+
+
+/**
+ * Returns translation of given key in given locale. Key may be nested such as 'a.b.c'. If key is not found in the
+ * catalog of locale, catalog of default locale is used. Translations are ICU messages such as
+ * `{count, plural, one {# item} other {# items}}` formatted with given values using plural rules of the locale.
+ * @param {string}              locale      - Locale as written in available locales.
+ * @param {string}              key         - Key of the translation.
+ * @param {Object}              [vars]      - Values of arguments in translation.
+ * @param {Object}              [request]   - hapi.js request object to log missing keys and invalid messages.
+ * @returns {string}                        - Translation, or key itself if it is not found.
+ * @private
+ */
+Internal.prototype.translate = function translate(locale, key, vars, request) {
+    let message = this.findMessage(locale, key, request);
+
+    if (message === undefined) {
+        if (request) request.log([pkg.name, 'translation', 'missing'], { locale: locale, key: key });
+        return key;
+    }
+
+    return this.formatMessage(locale, message, vars, request);
+};
+
+
+/**
+ * Returns message of given key from the catalog of given locale, or catalog of default locale if it is not found.
+ * Catalogs of the tenant of the request are looked before plugin catalogs, and default locale of the tenant is used.
+ * @param {string}              locale      - Locale as written in available locales.
+ * @param {string}              key         - Key of the translation. ie. 'a.b.c'
+ * @param {Object}              [request]   - hapi.js request object to find tenant of.
+ * @returns {string|undefined}              - ICU message, or undefined if it is not found.
+ * @private
+ */
+Internal.prototype.findMessage = function findMessage(locale, key, request) {
+    let tenant = request ? this.tenant(request) : null,
+        sources = tenant && tenant.catalogs ? [tenant.catalogs, this.catalogs] : [this.catalogs];
+
+    for (let candidate of lodash.uniq([locale, tenant ? tenant.default : this.default])) {
+        for (let catalogs of sources) {
+            let message = lodash.get(catalogs[candidate], key);
+            if (typeof message === 'string') return message;
+        }
+    }
+
+    return undefined;
+};
+
+
+/**
+ * Formats given ICU message with given values using plural rules and formats of the locale.
+ * @param {string}              locale      - Locale as written in available locales.
+ * @param {string}              message     - ICU message.
+ * @param {Object}              [vars]      - Values of arguments in message.
+ * @param {Object}              [request]   - hapi.js request object to log invalid messages.
+ * @returns {string}                        - Formatted message, or message itself if it is not valid.
+ * @private
+ */
+Internal.prototype.formatMessage = function formatMessage(locale, message, vars, request) {
+    try {
+        return MessageFormat.format(this.parseMessage(message), formatLocale(locale, 'bcp47'), vars);
+    } catch (err) {
+        if (request) request.log([pkg.name, 'translation', 'error'], err);
+        return message;
+    }
+};
+
+
+/**
+ * Returns parsed ICU message. Parsed messages are cached, so every message is parsed once.
+ * @param {string}              message     - ICU message.
+ * @returns {Array.<string|Object>}         - Nodes of the message.
+ * @throws {Error}                          - Throws error if message has a syntax error.
+ * @private
+ */
+Internal.prototype.parseMessage = function parseMessage(message) {
+    let nodes = this.messageCache.get(message);
+
+    if (!nodes) {
+        nodes = MessageFormat.parse(message);
+        this.messageCache.set(message, nodes);
+    }
+
+    return nodes;
+};
+
+
+/**
+ * Returns current locale of the request as written in available locales. Locale may be changed via setter after it
+ * is determined, so attribute is looked first.
+ * @param {Object}              request - hapi.js request object
+ * @returns {string}                    - Locale
+ * @private
+ */
+Internal.prototype.currentLocale = function currentLocale(request) {
+    let detection = request.plugins[pkg.name];
+
+    let available = this.requestLocales(request);
+
+    return this.bestMatch(lodash.get(request, this.options.attribute), available.locales) ||
+        (detection && this.bestMatch(detection.locale, available.locales)) || available.default;
+};
+
+
+/**
+ * Returns descriptor of given locale, including disabled ones, without copying it. Descriptor of the tenant of the
+ * request is looked first if request is given. Locale is compared in canonical form.
+ * @param {string}              code        - Locale. ie. ar-sa
+ * @param {Object}              [request]   - hapi.js request object to find tenant of.
+ * @returns {LocaleInfo|undefined}          - Descriptor, or undefined if locale is not known.
+ * @private
+ */
+Internal.prototype.findLocaleInfo = function findLocaleInfo(code, request) {
+    let tenant = request ? this.tenant(request) : null,
+        tag = canonicalTag(code);
+
+    if (tenant && tenant.localeInfo[tag]) return tenant.localeInfo[tag];
+    if (this.localeInfo[tag]) return this.localeInfo[tag];
+
+    // Locales known by tenants only, such as when request is not given.
+    let set = lodash.find(this.tenantSets, function (set) { return set.localeInfo[tag]; });
+    return set && set.localeInfo[tag];
+};
+
+/**
+ * Returns a copy of descriptor of given locale, including disabled ones. Locale is compared in canonical form.
+ * @param {string}              code        - Locale. ie. ar-sa
+ * @param {Object}              [request]   - hapi.js request object to look descriptors of its tenant first.
+ * @returns {LocaleInfo|null}               - Descriptor, or null if locale is not known.
+ * @private
+ */
+Internal.prototype.getLocaleInfo = function getLocaleInfo(code, request) {
+    let info = this.findLocaleInfo(code, request);
+    return info ? lodash.cloneDeep(info) : null;
+};
+
+
+/**
+ * Returns text direction of given locale from its descriptor, or determined from its language.
+ * @param {string}              locale      - Locale. ie. ar_SA
+ * @param {Object}              [request]   - hapi.js request object to look descriptors of its tenant first.
+ * @returns {string}                        - `rtl` or `ltr`
+ * @private
+ */
+Internal.prototype.direction = function direction(locale, request) {
+    let info = this.findLocaleInfo(locale, request);
+    return info ? info.dir : localeDirection(locale);
+};
+
+
+/**
+ * Returns locale aware formatting methods bound to current locale of the request. Intl formatters are cached per
+ * locale and options.
+ * @param {Object}              request - hapi.js request object
+ * @returns {Object.<string, Function>} - Formatting methods.
+ * @private
+ */
+Internal.prototype.createFormatters = function createFormatters(request) {
+    let self = this,
+        locale = function () {
+            return formatLocale(self.currentLocale(request), 'bcp47');
+        };
+
+    return {
+        formatNumber: function formatNumber(value, options) {
+            return intl(Intl.NumberFormat, locale(), options).format(value);
+        },
+        formatCurrency: function formatCurrency(value, currency, options) {
+            return intl(Intl.NumberFormat, locale(), Object.assign({ style: 'currency', currency: currency }, options)).format(value);
+        },
+        formatDate: function formatDate(value, options) {
+            return intl(Intl.DateTimeFormat, locale(), options).format(value);
+        },
+        formatRelativeTime: function formatRelativeTime(value, unit, options) {
+            return intl(Intl.RelativeTimeFormat, locale(), options).format(value, unit);
+        },
+        formatList: function formatList(list, options) {
+            return intl(Intl.ListFormat, locale(), options).format(list);
+        }
+    };
+};
+
+
+/**
+ * Registers given routes and their copies prefixed with given locales such as `/tr_TR/account`, whose locale is requested
+ * via `params` method. Copies use translated path of the locale in `paths` route option if given, such as
+ * `/fr_FR/a-propos`. Only locales available in the route (`locales` route option) are used. Routes which have the same
+ * method and path with a registered route are skipped. Routes with an id are recorded for `urlFor()`.
+ * @param {Object}              server  - hapi.js server object to register routes to.
+ * @param {Array.<Object>}      configs - Route configurations.
+ * @param {Array.<string>}      locales - Locales to register prefixed routes for.
+ * @private
+ */
+Internal.prototype.addLocalizedRoutes = function addLocalizedRoutes(server, configs, locales) {
+    let self = this,
+        realmPrefix = lodash.get(server.realm, ['modifiers', 'route', 'prefix']) || '',
+        table = server.table(),
+        routes = [];
+
+    configs.forEach(function (config) {
+        let options = config.options || {},
+            routeOptions = lodash.get(options, ['plugins', pkg.name], {}),
+            allowed = routeOptions.locales && routeOptions.locales.map(canonicalTag);
+
+        if (options.id) self.routeIds[options.id] = { prefix: realmPrefix, path: config.path, paths: routeOptions.paths || {}, locales: routeOptions.locales };
+
+        let localized = locales.filter(function (locale) {
+            return !allowed || allowed.indexOf(canonicalTag(locale)) > -1;
+        }).map(function (locale) {
+            let plugins = Object.assign({}, options.plugins);
+            plugins[pkg.name] = Object.assign({}, routeOptions, { prefix: locale, path: config.path });
+
+            return Object.assign({}, config, {
+                path: prefixPath(locale, translatePath(routeOptions.paths, locale, config.path)),
+                options: lodash.omit(Object.assign({}, options, { plugins: plugins }), 'id')     // Route ids are unique.
+            });
+        });
+
+        let plugins = Object.assign({}, options.plugins);
+        plugins[pkg.name] = Object.assign({}, routeOptions, { path: config.path });
+        config = Object.assign({}, config, { options: Object.assign({}, options, { plugins: plugins }) });
+
+        [config].concat(localized).forEach(function (route) {
+            let methods = lodash.castArray(route.method).map(function (method) { return method.toLowerCase(); }),
+                exists = table.some(function (registered) {
+                    return registered.path === realmPrefix + route.path && (methods.indexOf(registered.method) > -1 || methods.indexOf('*') > -1 || registered.method === '*');
+                });
+
+            if (!exists) routes.push(route);
+        });
+    });
+
+    server.route(routes);
+};
+
+
+/**
+ * Returns path of the route with given id for given locale. Routes registered via `server.localizedRoute()` get locale
+ * prefix and translated path of the locale. Other routes get locale in their path parameter (`options.param`) if they
+ * have one. Locale should be available in the route (`locales` route option) and in the tenant of given request, or in
+ * plugin or any tenant if request is not given.
+ * @param {Object}              server      - hapi.js server object to look routes in.
+ * @param {string}              id          - Id of the route.
+ * @param {Object}              [params]    - Values of path parameters.
+ * @param {string}              [locale]    - Locale. Path without locale is returned if not given.
+ * @param {Object}              [request]   - hapi.js request object whose tenant locales are used.
+ * @returns {string}                        - Path. ie. /fr_FR/a-propos
+ * @throws {Error}                          - Throws error if route or locale is not found, or a required parameter is missing.
+ * @private
+ */
+Internal.prototype.urlFor = function urlFor(server, id, params, locale, request) {
+    let localized = this.routeIds[id],
+        route = localized ? null : server.lookup(id);
+
+    if (!localized && !route) throw new Error('Route ' + id + ' cannot be found.');
+
+    let available = request ? this.requestLocales(request).locales : this.allLocales,
+        allowed = localized ? localized.locales : lodash.get(route.settings, ['plugins', pkg.name, 'locales']),
+        locales = allowed ? available.filter(function (one) { return allowed.map(canonicalTag).indexOf(canonicalTag(one)) > -1; }) : available,
+        match = locale ? this.bestMatch(locale, locales) : null;
+
+    if (locale && !match) throw new Error('Locale ' + locale + ' is not available' + (allowed ? ' for route ' + id : '') + '.');
+
+    if (localized) {
+        let path = fillPath(match ? translatePath(localized.paths, match, localized.path) : localized.path, params);
+        return localized.prefix + (match ? prefixPath(match, path) : path);
+    }
+
+    params = Object.assign({}, params);
+    if (match) params[this.options.param] = match;
+
+    return fillPath(route.path, params);
+};
+
+
+/**
+ * Watches configuration file and scan path of plugin and tenants and calls given function when they change. Changes in
+ * a short period are reported once. Locales given in `locales` option are static, so nothing is watched for them.
+ * Subdirectories of scan path are watched where recursive `fs.watch` is supported (macOS, Windows and Linux with
+ * Node.js 19.1 or later), only top level directories otherwise.
+ * @param {Function}            onChange    - Function to call when a watched file or directory changes.
+ * @private
+ */
+Internal.prototype.watch = function watch(onChange) {
+    let self = this,
+        configFile = this.options.configFile,
+        sources = [this.options];
+
+    lodash.forEach(this.options.tenants ? this.options.tenants.sets : {}, function (set) {
+        sources.push({ locales: set.locales, configFile: set.configFile || (set.configKey ? configFile : null), scan: set.scan });
+    });
+
+    let paths = lodash.uniq(lodash.flatMap(sources, function (options) {
+        if (options.locales && options.locales.length > 0) return [];
+
+        let files = options.configFile && fileExists(options.configFile, false) ? [options.configFile] : [],
+            dirs = options.scan && options.scan.path ? lodash.castArray(options.scan.path).filter(function (dir) { return fileExists(dir, true); }) : [];
+
+        return files.concat(dirs);
+    }));
+
+    let listener = function () {
+        clearTimeout(self.watchTimer);
+        self.watchTimer = setTimeout(onChange, 100);
+    };
+
+    this.watchers = paths.map(function (watchedPath) {
+        try {
+            return fs.watch(watchedPath, { persistent: false, recursive: true }, listener);
+        } catch (err) {
+            return fs.watch(watchedPath, { persistent: false }, listener);      // Recursive watching is not supported.
+        }
+    });
+};
+
+
+/**
+ * Stops watching files started by watch().
+ * @private
+ */
+Internal.prototype.unwatch = function unwatch() {
+    (this.watchers || []).forEach(function (watcher) { watcher.close(); });
+    clearTimeout(this.watchTimer);
+    this.watchers = [];
+};
+
+
+/**
+ * Tries methods in order until one of them returns an available locale. Custom resolvers are awaited in sequence.
+ * Result is counted in stats, including redirects and fail actions which throw error.
+ * @param {Object}              request     - hapi.js request object
+ * @param {RouteSettings}       [settings]  - Settings of the route. Defaults to plugin options.
+ * @returns {Promise.<Detection>}           - Determined locale and method which determined it.
+ * @private
+ */
+Internal.prototype.determineLocale = async function determineLocale(request, settings) {
+    settings = settings || { locales: this.locales, default: this.default, order: this.options.order };
+
+    let self = this,
+        methods = [],
+        rejected = [],
+        done = function (detection) {
+            self.recordStats(request, detection, settings.locales);
+            return detection;
+        };
+
+    for (let method of settings.order) {
+        let requestedLocale,
+            details = {};
+
+        methods.push(method);
+
+        if (orderParameters.hasOwnProperty(method)) {
+            requestedLocale = this[orderParameters[method]](request, settings.locales, details);    // this.parseParam | this.parseCookie ... etc.
+        } else {
+            requestedLocale = await this.parseResolver(request, method, settings.locales, details);
+        }
+
+        if (requestedLocale) {
+            return done({ locale: requestedLocale, source: method, methods: methods, requested: details.requested, rejected: rejected });
+        }
+
+        if (!lodash.isEmpty(details.requested)) {
+            let result;
+
+            rejected.push({ source: method, requested: details.requested });
+            request.log([pkg.name, 'detection', 'rejected'], { source: method, requested: details.requested });
+
+            try {
+                result = await this.fail(request, method, details.requested, settings);
+            } catch (err) {
+                done({ locale: undefined, source: method, methods: methods, requested: undefined, rejected: rejected });
+                throw err;
+            }
+
+            if (result) return done(Object.assign(result, { methods: methods, rejected: rejected }));
+        }
+    }
+
+    return done({ locale: settings.default, source: 'default', methods: methods, requested: undefined, rejected: rejected });
+};
+
+
+/**
+ * Returns fail action of given method. Fail action given as string applies to `params`, `query` and `host` methods only,
+ * since other sources such as `Accept-Language` header are usually out of control of the user. Methods without fail
+ * action in options throw 404 for `params` if `options.throw404` is true, continue otherwise.
+ * @param {string}              method      - Method such as `params`, `query` or name of a resolver.
+ * @returns {string|Function}               - Fail action.
+ * @private
+ */
+Internal.prototype.failAction = function failAction(method) {
+    let option = this.options.failAction,
+        action = lodash.isPlainObject(option) ? option[method] : option;
+
+    if (typeof action === 'string' && !lodash.isPlainObject(option) && urlMethods.indexOf(method) === -1) action = null;
+
+    if (action) return action;
+    return method === 'params' && this.options.throw404 ? 'error' : 'continue';
+};
+
+
+/**
+ * Takes fail action of given method whose requested locale is not available.
+ * - `error`: Throws error with `options.failStatus`.
+ * - `default`: Uses default locale without looking next methods.
+ * - `redirect`: Redirects to URL with closest available locale: first locale with same language, or default locale.
+ *   Applies to `params`, `query` and `host` methods, others continue. URL is relative except for `host`.
+ * - `continue`: Looks next method.
+ * - Function: Called with request and `{ source, requested, locales }`. May return (or resolve to) a locale to use,
+ *   or undefined to look next method.
+ * @param {Object}              request     - hapi.js request object
+ * @param {string}              method      - Method which failed.
+ * @param {*}                   requested   - Raw requested value.
+ * @param {RouteSettings}       settings    - Settings of the route.
+ * @returns {Promise.<Object|undefined>}    - Partial detection, or undefined to look next method.
+ * @throws {Boom}                           - Throws error for `error` fail action or error of the function.
+ * @private
+ */
+Internal.prototype.fail = async function fail(request, method, requested, settings) {
+    let action = this.failAction(method);
+
+    if (action === 'error') {
+        throw new Boom.Boom('Requested locale/language ' + requested + ' cannot be found.', { statusCode: this.options.failStatus });
+    }
+
+    if (action === 'default') return { locale: settings.default, source: 'default', requested: undefined };
+
+    if (action === 'redirect' && urlMethods.indexOf(method) > -1) {
+        let locale = closestLocale(requested, settings.locales, settings.default),
+            url = new URL(this.localizedUrl(request, method, locale));
+
+        // Relative URL does not depend on Host header of the request and scheme of the server, which may be behind a proxy.
+        return { locale: locale, source: method, requested: requested, redirect: method === 'host' ? url.href : url.pathname + url.search };
+    }
+
+    if (typeof action === 'function') {
+        let locale;
+
+        try {
+            locale = this.bestMatch(await action(request, { source: method, requested: requested, locales: settings.locales }), settings.locales);
+        } catch (err) {
+            throw internalError(err);
+        }
+
+        if (locale) return { locale: locale, source: method, requested: requested };
+    }
+};
+
+
+/**
+ * Counts request with its source and determined locale, and requested locales which are not available. Locale is not
+ * counted if the request failed. `localeMiss` server event is emitted for every requested locale which is not available.
+ * Requested values which do not look like a language tag are ignored, and least recently missed locale is dropped if
+ * there are more than `maxMisses` locales, so clients cannot grow the stats without limit.
+ * @param {Object}              request     - hapi.js request object
+ * @param {Detection}           detection   - Result of locale determination. Locale is undefined if the request failed.
+ * @param {Array.<string>}      locales     - Locales available for the request.
+ * @private
+ */
+Internal.prototype.recordStats = function recordStats(request, detection, locales) {
+    let self = this,
+        stats = this.stats,
+        candidates = lodash.uniqWith(detection.rejected.concat(detection.requested === undefined ? [] : { source: detection.source, requested: detection.requested }), lodash.isEqual);
+
+    stats.total++;
+    stats.sources[detection.source] = (stats.sources[detection.source] || 0) + 1;
+    if (detection.locale) stats.locales[detection.locale] = (stats.locales[detection.locale] || 0) + 1;
+
+    candidates.forEach(function (candidate) {
+        lodash.castArray(candidate.requested).forEach(function (requested) {
+            if (typeof requested !== 'string' || !languageTagPattern.test(requested) || self.lookupLocale(requested, locales)) return;
+
+            let locale = formatLocale(requested, 'underscore'),
+                count = (stats.misses[locale] || 0) + 1;
+
+            // Object keeps insertion order of keys, so re-inserting marks it as recently missed.
+            delete stats.misses[locale];
+            if (Object.keys(stats.misses).length >= maxMisses) delete stats.misses[Object.keys(stats.misses)[0]];
+            stats.misses[locale] = count;
+            request.server.events.emit('localeMiss', { locale: locale, requested: requested, source: candidate.source, request: request });
+        });
+    });
+};
+
+/**
+ * Takes back counts of the request, its source and determined locale, so the request may be counted again when its
+ * locale is determined again. Misses are kept, since they were requested anyway.
+ * @param {string}              source  - Method which determined the locale.
+ * @param {string}              locale  - Determined locale as written in available locales.
+ * @private
+ */
+Internal.prototype.revertStats = function revertStats(source, locale) {
+    let stats = this.stats;
+
+    stats.total--;
+    [[stats.sources, source], [stats.locales, locale]].forEach(function (pair) {
+        pair[0][pair[1]]--;
+        if (pair[0][pair[1]] < 1) delete pair[0][pair[1]];
+    });
+};
+
+
+/**
+ *
+ * @param {Object}              request - hapi.js request object
+ * @param {Function}            reply   - hapi.js reply object
+ * @returns {*}
+ */
+Internal.prototype.processRequest = async function processRequest(request, h) {
+    let settings = this.routeSettings(request);
+
+    if (!settings.enabled) return h.continue;
+
+    let detection;
+
+    if (settings.locale) {
+        detection = { locale: settings.locale, source: 'route', methods: [], requested: undefined, rejected: [] };
+        this.recordStats(request, detection, settings.locales);
+    } else {
+        try {
+            detection = await this.determineLocale(request, settings);
+        } catch (err) {
+            throw err.isBoom ? err : Boom.notFound(err);
+        }
+    }
+
+    if (detection.redirect) return h.redirect(detection.redirect).takeover();
+
+    let locale = formatLocale(detection.locale, this.options.format);
+    request.plugins[pkg.name] = {
+        locale: locale,
+        source: detection.source,
+        methods: detection.methods,
+        requested: detection.requested,
+        rejected: detection.rejected
+    };
+    request.log([pkg.name, 'detection'], request.plugins[pkg.name]);
+
+    let getter = this.options.getter,
+        setter = this.options.setter,
+        attribute = this.options.attribute;
 
     // Create accessors if necessary
     if (this.options.createAccessors) {
@@ -347,6 +1786,28 @@ Internal.prototype.processRequest = function processRequest(request, h) {
                 return lodash.set(request, attribute, locale);
             });
         }
+        if (this.options.directionGetter && !lodash.get(request, this.options.directionGetter)) {
+            let self = this;
+            lodash.set(request, this.options.directionGetter, function () {
+                return self.direction(self.currentLocale(request), request);
+            });
+        }
+    }
+
+    // Create translator if necessary
+    if (this.options.translations && this.options.translator) {
+        let self = this;
+        lodash.set(request, this.options.translator, function (key, vars) {
+            return self.translate(self.currentLocale(request), key, vars, request);
+        });
+    }
+
+    // Create formatters next to getter if necessary. ie. request.i18n.formatNumber
+    if (this.options.formatters) {
+        let namespace = (getter || defaultOptions.getter).split('.').slice(0, -1);
+        lodash.forEach(this.createFormatters(request), function (formatter, name) {
+            lodash.set(request, namespace.concat(name), formatter);
+        });
     }
 
     // Call setter.
@@ -356,6 +1817,426 @@ Internal.prototype.processRequest = function processRequest(request, h) {
 };
 
 
+/**
+ * Determines locale again on onPostAuth event using `credentials` method, since credentials are not available when
+ * locale is determined before authentication. Locale is changed only if it was determined by a method which comes after
+ * `credentials` in order, or it is default locale. So explicit methods listed before `credentials` such as URL part
+ * keep their precedence. Requested locale which is not available is handled by fail action of `credentials`, and
+ * stats of the request are counted again.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @returns {Promise.<*>}
+ * @private
+ */
+Internal.prototype.processCredentials = async function processCredentials(request, h) {
+    let detection = request.plugins[pkg.name];
+
+    if (!detection || detection.source === 'route' || !request.auth.credentials) return h.continue;
+
+    let settings = this.routeSettings(request),
+        position = settings.order.indexOf('credentials'),
+        details = {};
+
+    if (position === -1 || (detection.source !== 'default' && settings.order.indexOf(detection.source) < position)) return h.continue;
+
+    let match = this.parseCredentials(request, settings.locales, details),
+        previous = this.bestMatch(detection.locale, settings.locales) || detection.locale,
+        rejected = [],
+        result = match ? { locale: match, source: 'credentials', requested: details.requested } : null;
+
+    if (!match && lodash.isEmpty(details.requested)) return h.continue;
+
+    this.revertStats(detection.source, previous);
+
+    if (!match) {
+        rejected.push({ source: 'credentials', requested: details.requested });
+        detection.rejected.push(rejected[0]);
+        request.log([pkg.name, 'detection', 'rejected'], rejected[0]);
+
+        try {
+            result = await this.fail(request, 'credentials', details.requested, settings);
+        } catch (err) {
+            this.recordStats(request, { locale: undefined, source: 'credentials', requested: undefined, rejected: rejected }, settings.locales);
+            throw err;
+        }
+    }
+
+    // Locale determined on first pass is kept if fail action continues, but it is counted again with the miss.
+    result = result || { locale: previous, source: detection.source, requested: undefined };
+    this.recordStats(request, Object.assign({ rejected: rejected }, result), settings.locales);
+
+    if (result.source === detection.source && result.locale === previous) return h.continue;
+
+    Object.assign(detection, { locale: formatLocale(result.locale, this.options.format), source: result.source, requested: result.requested });
+    request.log([pkg.name, 'detection'], detection);
+
+    lodash.get(request, this.options.setter)(detection.locale);
+
+    return h.continue;
+};
+
+
+/**
+ * Redirects GET requests without locale prefix such as /account to /{locale}/account on onRequest event, preserving
+ * query string. First path segment which matches an available locale or looks like a language tag (ie. /pt/account)
+ * is treated as locale prefix, so it is left to params method and its fail action. Locale is determined using methods
+ * in options.order except params. Since cookies are not parsed yet
+ * on onRequest event, they are parsed here if cookie method is used. Redirected request and its misses are counted in
+ * stats by determineLocale().
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @returns {*}
+ * @private
+ */
+Internal.prototype.redirectRequest = async function redirectRequest(request, h) {
+    let path = request.path,
+        prefix = path.split('/')[1],
+        locales = this.requestLocales(request),
+        order = lodash.without(this.options.order, 'params');
+
+    let excluded = this.options.redirect.exclude.some(function (pattern) {
+        if (pattern instanceof RegExp) return pattern.test(path);
+        if (pattern.length > 1) pattern = pattern.replace(/\/$/, '');      // '/' excludes only the root path.
+        return path === pattern || lodash.startsWith(path, pattern + '/');
+    });
+
+    if (request.method !== 'get' || excluded || (prefix && (languageTagPattern.test(prefix) || this.bestMatch(prefix, locales.locales)))) return h.continue;
+
+    if (!request.state) {
+        try {
+            request.state = request.headers.cookie && order.indexOf('cookie') > -1 ? (await request.server.states.parse(request.headers.cookie)).states : {};
+        } catch (err) {
+            request.state = err.states || {};
+        }
+    }
+
+    let detection;
+
+    try {
+        detection = await this.determineLocale(request, { locales: locales.locales, default: locales.default, order: order });
+    } catch (err) {
+        throw err.isBoom ? err : Boom.notFound(err);
+    }
+
+    if (detection.redirect) return h.redirect(detection.redirect).takeover();
+
+    let url = '/' + detection.locale + (path === '/' ? '' : path) + request.url.search;
+
+    return h.redirect(url).code(this.options.redirect.statusCode).takeover();
+};
+
+
+/**
+ * Redirects GET requests whose path prefix is another form of an available locale, such as /en-us/account, to the
+ * route registered via `server.localizedRoute()` with literal prefix of the locale, such as /en_US/account, on
+ * onRequest event with 301. Prefixes are literal paths, so such requests would be 404 from router otherwise. Prefix
+ * which is not available, such as /pt/account, is redirected to its closest locale with 302 if fail action of `params`
+ * is `redirect`. Paths which match a route are left to it. Redirected request is counted in stats.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @returns {*}
+ * @private
+ */
+Internal.prototype.redirectPrefix = function redirectPrefix(request, h) {
+    let segments = request.path.split('/'),
+        prefix = segments[1];
+
+    if (request.method !== 'get' || this.localizedRoutes.length === 0 || !prefix || request.server.match(request.method, request.path, request.info.hostname)) {
+        return h.continue;
+    }
+
+    let locales = this.requestLocales(request),
+        detection = { locale: this.bestMatch(prefix, locales.locales), source: 'params', methods: ['params'], requested: prefix, rejected: [] };
+
+    if (!detection.locale && languageTagPattern.test(prefix) && this.failAction('params') === 'redirect') {
+        detection.locale = closestLocale(prefix, locales.locales, locales.default);
+        detection.rejected.push({ source: 'params', requested: prefix });
+    }
+
+    if (!detection.locale || detection.locale === prefix) return h.continue;
+
+    segments[1] = detection.locale;
+
+    let path = segments.join('/'),
+        route = request.server.match(request.method, path, request.info.hostname);
+
+    if (!route || lodash.get(route.settings, ['plugins', pkg.name, 'prefix']) !== detection.locale) return h.continue;
+
+    this.recordStats(request, detection, locales.locales);
+    return h.redirect(path + request.url.search).code(detection.rejected.length > 0 ? 302 : 301).takeover();
+};
+
+
+/**
+ * Returns URL of the requested page for given locale by placing locale in path parameter, query parameter or hostname.
+ * Locale is placed in query if `params` method is requested for a route without locale parameter.
+ * @param {Object}              request - hapi.js request object
+ * @param {string}              method  - How locale is placed in URL: `params`, `query` or `host`.
+ * @param {string|null}         locale  - Locale to place in URL. If null, locale is removed from query.
+ * @returns {string}                    - Absolute URL.
+ * @private
+ */
+Internal.prototype.localizedUrl = function localizedUrl(request, method, locale) {
+    let url = new URL(request.url.href),
+        settings = this.routeSettings(request),
+        index = paramIndex(request.route.path, this.options.param);
+
+    // Route without locale parameter cannot be localized via path, so locale is placed in query.
+    if (method === 'params' && !settings.path && index === -1) method = 'query';
+
+    if (method === 'params' && settings.path) {
+        let realmPrefix = lodash.get(request.route.realm, ['modifiers', 'route', 'prefix']) || '';
+        url.pathname = realmPrefix + prefixPath(locale, fillPath(translatePath(settings.paths, locale, settings.path), request.params));
+    } else if (method === 'params') {
+        let segments = url.pathname.split('/');
+        segments[index] = encodeURIComponent(locale);
+        url.pathname = segments.join('/');
+    } else if (method === 'query') {
+        if (locale) url.searchParams.set(this.options.query, locale);
+        else url.searchParams.delete(this.options.query);
+    } else if (method === 'host') {
+        let domains = (this.options.host && this.options.host.domains) || {},
+            domain = lodash.findKey(domains, function (value) { return canonicalTag(value) === canonicalTag(locale); }),
+            labels = url.hostname.split('.'),
+            subdomain = formatLocale(locale, 'bcp47').toLowerCase(),
+            available = lodash.keyBy(this.allLocales, canonicalTag);
+
+        if (domain) {
+            url.hostname = domain;
+        } else if (labels.length > 2 && available[canonicalTag(labels[0])]) {
+            url.hostname = [subdomain].concat(labels.slice(1)).join('.');
+        } else {
+            url.hostname = [subdomain].concat(labels).join('.');
+        }
+    }
+
+    return url.href;
+};
+
+/**
+ * Returns URLs of the requested page for every locale available in its route, plus an `x-default` entry.
+ * @param {Object}              request - hapi.js request object
+ * @returns {Array.<Alternate>}         - Alternate URLs.
+ * @private
+ */
+Internal.prototype.getAlternates = function getAlternates(request) {
+    let settings = this.routeSettings(request),
+        method = this.options.alternates.method,
+        self = this;
+
+    if (!method) {
+        method = paramIndex(request.route.path, this.options.param) > -1 ? 'params' : 'query';
+    }
+
+    let alternates = settings.locales.map(function (locale) {
+        return { locale: locale, hreflang: formatLocale(locale, 'bcp47'), url: self.localizedUrl(request, method, locale) };
+    });
+
+    alternates.push({
+        locale: settings.default,
+        hreflang: 'x-default',
+        url: this.localizedUrl(request, method, method === 'query' ? null : settings.default)
+    });
+
+    return alternates;
+};
+
+/**
+ * Writes locale of the request to cookie if it is determined from params or query, or changed by setter after it is
+ * determined. Nothing is written if cookie already has the same locale.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @private
+ */
+Internal.prototype.persistLocale = function persistLocale(request, h) {
+    let detection = request.plugins[pkg.name],
+        name = this.options.cookie,
+        key = this.options.cookieKey,
+        locale = lodash.get(request, this.options.attribute);
+
+    if (!detection || !locale || !name) return;
+    if (locale === detection.locale && ['params', 'query'].indexOf(detection.source) === -1) return;
+
+    let state = request.state[name],
+        current = key ? lodash.get(state, key) : state;
+
+    if (current === locale) return;
+
+    h.state(name, key ? lodash.set(lodash.isPlainObject(state) ? lodash.cloneDeep(state) : {}, key, locale) : locale);
+};
+
+
+/**
+ * Sets Content-Language header to locale of the request and adds header and cookie names to Vary header if they are
+ * looked to determine locale, so caches can store responses for different locales separately.
+ * @param {Object}              request - hapi.js request object
+ * @private
+ */
+Internal.prototype.setResponseHeaders = function setResponseHeaders(request) {
+    let detection = request.plugins[pkg.name],
+        response = request.response,
+        headers = {},
+        vary = [];
+
+    if (!detection) return;
+
+    if (this.options.contentLanguage) {
+        let locale = lodash.get(request, this.options.attribute) || detection.locale;
+        headers['content-language'] = formatLocale(locale, this.options.contentLanguageFormat);
+    }
+
+    if (this.options.vary) {
+        for (let method of detection.methods) {
+            if (method === 'headers' && this.options.header) vary.push(this.options.header);
+            if (method === 'cookie' && this.options.cookie) vary.push('cookie');
+        }
+    }
+
+    if (response.isBoom) {
+        Object.assign(response.output.headers, headers);
+        if (vary.length > 0) {
+            let current = response.output.headers.vary || response.output.headers.Vary;
+            delete response.output.headers.Vary;
+            response.output.headers.vary = lodash.uniq((current ? current.split(/\s*,\s*/) : []).concat(vary)).join(',');
+        }
+        return;
+    }
+
+    lodash.forEach(headers, function (value, name) { response.header(name, value); });
+    vary.forEach(function (header) { response.vary(header); });
+};
+
+
+/**
+ * Adds locale of the request, its BCP 47 tag for `lang` attribute, locales of the route, default locale, text direction
+ * and translator/formatter methods to context of view response under `options.viewContext` key. Values already given by handler under that key are kept.
+ * @param {Object}              request - hapi.js request object
+ * @private
+ */
+Internal.prototype.setViewContext = function setViewContext(request) {
+    let source = request.response.source,
+        settings = this.routeSettings(request),
+        locale = this.currentLocale(request),
+        values = {
+            locale: formatLocale(locale, this.options.format),
+            lang: formatLocale(locale, 'bcp47'),
+            locales: settings.locales,
+            default: settings.default,
+            dir: this.direction(locale, request)
+        };
+
+    if (this.options.translations && this.options.translator) values.t = lodash.get(request, this.options.translator);
+    if (this.options.formatters) Object.assign(values, this.createFormatters(request));
+
+    source.context = Object.assign({}, source.context);
+    source.context[this.options.viewContext] = Object.assign(values, source.context[this.options.viewContext]);
+};
+
+
+/**
+ * Localizes messages of Joi validation error using `validation.<type>` keys of the catalog of request's locale, such as
+ * `validation.string.min`. Messages are ICU messages, which get context of the Joi error detail as values, such as
+ * `{label}` and `{limit}`. Messages without translation are kept as they are.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @param {Error}               err     - Validation error
+ * @throws {Error}                      - Throws given error with localized messages.
+ * @private
+ */
+Internal.prototype.validationFailAction = function validationFailAction(request, h, err) {
+    if (!err || !Array.isArray(err.details)) throw err;
+
+    let self = this,
+        locale = this.currentLocale(request);
+
+    err.details.forEach(function (detail) {
+        let message = self.findMessage(locale, 'validation.' + detail.type, request);
+        if (message !== undefined) detail.message = self.formatMessage(locale, message, Object.assign({}, detail.context), request);
+    });
+
+    err.message = err.details.map(function (detail) { return detail.message; }).join('. ');
+    if (err.isBoom) err.output.payload.message = err.message;
+
+    throw err;
+};
+
+/**
+ * Throws validation error as hapi.js does for default failAction (`error`), which does not expose validation details,
+ * with its message localized using `validation.request` key of the catalog of request's locale. The message is an ICU
+ * message which gets `source` of the validation such as `query` or `payload` as value.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @param {Error}               err     - Validation error
+ * @throws {Error}                      - Bad request error with localized message.
+ * @private
+ */
+Internal.prototype.sanitizedFailAction = function sanitizedFailAction(request, h, err) {
+    let source = lodash.get(err, ['output', 'payload', 'validation', 'source']);
+
+    if (!err || !Array.isArray(err.details) || !source) throw err;
+
+    let locale = this.currentLocale(request),
+        message = this.findMessage(locale, 'validation.request', request);
+
+    throw Boom.badRequest(message === undefined ? 'Invalid request ' + source + ' input' : this.formatMessage(locale, message, { source: source }, request));
+};
+
+
+/**
+ * Translates `message` and `error` of Boom error response. `errors.<code>` key is looked first if error data has a
+ * `code`, then `errors.<statusCode>`. Value of the key may be a message or an object with `message` and/or `error`
+ * messages. ICU messages get error data, `statusCode`, `error` and `message` as values. Catalog of default locale is
+ * used if locale is not determined, such as for errors thrown before or during locale determination.
+ * @param {Object}              request - hapi.js request object
+ * @private
+ */
+Internal.prototype.localizeError = function localizeError(request) {
+    let response = request.response,
+        payload = response.output.payload,
+        locale = this.currentLocale(request),
+        data = lodash.isPlainObject(response.data) ? response.data : {},
+        vars = Object.assign({}, data, { statusCode: payload.statusCode, error: payload.error, message: payload.message }),
+        keys = (data.code !== undefined ? ['errors.' + data.code] : []).concat('errors.' + payload.statusCode);
+
+    for (let key of keys) {
+        let message = this.findMessage(locale, key, request) || this.findMessage(locale, key + '.message', request),
+            error = this.findMessage(locale, key + '.error', request);
+
+        if (message !== undefined || error !== undefined) {
+            if (message !== undefined) payload.message = this.formatMessage(locale, message, vars, request);
+            if (error !== undefined) payload.error = this.formatMessage(locale, error, vars, request);
+            return;
+        }
+    }
+};
+
+
+/**
+ * Processes response of the request on onPreResponse event.
+ * @param {Object}              request - hapi.js request object
+ * @param {Object}              h       - hapi.js response toolkit
+ * @returns {*}
+ * @private
+ */
+Internal.prototype.processResponse = function processResponse(request, h) {
+    if (this.options.localizeErrors && request.response.isBoom) this.localizeError(request);
+    if (this.options.persist) this.persistLocale(request, h);
+    if (this.options.contentLanguage || this.options.vary) this.setResponseHeaders(request);
+
+    if (this.options.viewContext && request.response.variety === 'view' && request.plugins[pkg.name]) {
+        this.setViewContext(request);
+    }
+
+    if (this.options.alternates.header && !request.response.isBoom && request.plugins[pkg.name]) {
+        request.response.header('link', this.getAlternates(request).map(function (alternate) {
+            return '<' + alternate.url + '>; rel="alternate"; hreflang="' + alternate.hreflang + '"';
+        }).join(', '), { append: true, separator: ', ' });
+    }
+
+    return h.continue;
+};
+
+
 exports.plugin = {
     name: pkg.name,
     version: pkg.version,
@@ -370,6 +2251,7 @@ exports.plugin = {
     register: async function (server, options) {
         try {
             var internal = new Internal(options);
+            await internal.loadLocales();
         } catch (err) {
             throw new Boom.Boom(err);
         }
@@ -384,25 +2266,46 @@ exports.plugin = {
          */
 
         /**
-         * Returns all available locales as an array.
+         * Returns all available locales as an array. If request is given and `options.tenants` is set, locales of the
+         * tenant of the request are returned.
          * @name getLocales
          * @function
+         * @param {Object}              [request]   - Hapi.js request object
          * @returns {Array.<string>}    - Array of locales.
          * @example
          * var locales = request.server.plugins['hapi-locale'].getLocales(); // ['tr_TR', 'en_US'] etc.
+         * var locales = request.server.plugins['hapi-locale'].getLocales(request); // ['tr_TR'] for tenant of the request.
          */
-        server.expose('getLocales', function getLocales() {
-            return internal.locales;
+        server.expose('getLocales', function getLocales(request) {
+            return internal.requestLocales(request).locales;
         });
 
         /**
-         * Returns default locale.
+         * Returns default locale. If request is given and `options.tenants` is set, default locale of the tenant of the
+         * request is returned.
          * @name getDefaultLocale
          * @function
+         * @param {Object}      [request]   - Hapi.js request object
          * @returns {string}    - Default locale
          */
-        server.expose('getDefaultLocale', function getDefaultLocale() {
-            return internal.default;
+        server.expose('getDefaultLocale', function getDefaultLocale(request) {
+            return internal.requestLocales(request).default;
+        });
+
+        /**
+         * Returns descriptor of given locale with its display names and text direction. Disabled locales are included.
+         * If request is given and `options.tenants` is set, descriptor of the tenant of the request is looked first.
+         * @name getLocaleInfo
+         * @function
+         * @param {string}              code        - Locale. ie. ar_SA
+         * @param {Object}              [request]   - Hapi.js request object
+         * @returns {LocaleInfo|null}               - Descriptor, or null if locale is not known.
+         * @example
+         * var info = request.server.plugins['hapi-locale'].getLocaleInfo('ar_SA');
+         * // { code: 'ar_SA', name: 'Arabic (Saudi Arabia)', nativeName: 'العربية (المملكة العربية السعودية)', dir: 'rtl', enabled: true, fallback: [] }
+         */
+        server.expose('getLocaleInfo', function getLocaleInfo(code, request) {
+            return internal.getLocaleInfo(code, request);
         });
 
         /**
@@ -420,6 +2323,197 @@ exports.plugin = {
             }
         });
 
+        /**
+         * Determines available locales again by looking options, configuration file and scan path. `localesChanged`
+         * server event is emitted with `{ locales, added, removed }` if available locales change.
+         * @name reloadLocales
+         * @function
+         * @returns {Promise.<Array.<string>>}  - Array of locales.
+         * @example
+         * server.events.on('localesChanged', function (event) { console.log(event.added); });     // ['de_DE']
+         * var locales = await server.plugins['hapi-locale'].reloadLocales();                       // ['tr_TR', 'en_US', 'de_DE']
+         */
+        server.expose('reloadLocales', async function reloadLocales() {
+            let previous = internal.locales,
+                previousAll = internal.allLocales,
+                locales = await internal.loadLocales(),
+                added = lodash.difference(locales, previous),
+                removed = lodash.difference(previous, locales);
+
+            internal.localizedRoutes.forEach(function (registered) {
+                internal.addLocalizedRoutes(registered.server, registered.configs, lodash.difference(internal.allLocales, previousAll));
+            });
+
+            if (added.length > 0 || removed.length > 0) {
+                server.events.emit('localesChanged', { locales: locales, added: added, removed: removed });
+            }
+
+            return locales;
+        });
+
+        server.event('localesChanged');
+
+        /**
+         * Returns statistics of locale determination since the server started: counts of determined locales, methods
+         * which determined them and requested locales which are not available. `localeMiss` server event is also
+         * emitted with `{ locale, requested, source, request }` for every requested locale which is not available.
+         * Listeners should not keep a reference to `request`. Redirected and failed requests are counted too.
+         * @name getStats
+         * @function
+         * @returns {Stats}     - Statistics
+         * @example
+         * server.events.on('localeMiss', function (event) { console.log(event.locale, event.source); });  // pt_BR headers
+         * var stats = server.plugins['hapi-locale'].getStats();
+         * // { total: 9, sources: { params: 5, headers: 3, default: 1 }, locales: { tr_TR: 6, en_US: 3 }, misses: { pt_BR: 2 } }
+         */
+        server.expose('getStats', function getStats() {
+            return lodash.cloneDeep(internal.stats);
+        });
+
+        server.event('localeMiss');
+
+        // Route options are validated when routes are added. Routes added after registration are validated via route
+        // event, whose listener cannot throw to the caller, so the error is thrown on start instead.
+        let routeError = null;
+
+        server.table().forEach(function (route) { internal.validateRoute(route); });
+        server.events.on('route', function (route) {
+            try {
+                internal.validateRoute(route);
+            } catch (err) {
+                routeError = routeError || err;
+                server.log([pkg.name, 'error'], err);
+            }
+        });
+        server.ext('onPreStart', function () {
+            if (routeError) throw routeError;
+        });
+
+        if (internal.options.watch) {
+            server.ext('onPreStart', function () {
+                internal.watch(function () {
+                    server.plugins[pkg.name].reloadLocales().catch(function (err) {
+                        server.log([pkg.name, 'error'], err);
+                    });
+                });
+            });
+            server.ext('onPostStop', function () {
+                internal.unwatch();
+            });
+        }
+
+        /**
+         * Returns URLs of the requested page for every locale available in its route, plus an `x-default` entry. Locale is
+         * placed in URL as configured via `options.alternates.method`.
+         * @name getAlternates
+         * @function
+         * @param {Object}              request - Hapi.js request object
+         * @returns {Array.<Alternate>} - Alternate URLs.
+         * @example
+         * var alternates = request.server.plugins['hapi-locale'].getAlternates(request);
+         * // [{ locale: 'tr_TR', hreflang: 'tr-TR', url: 'http://example.com/tr_TR/account' }, ..., { locale: 'en_US', hreflang: 'x-default', url: 'http://example.com/en_US/account' }]
+         */
+        server.expose('getAlternates', function getAlternates(request) {
+            return internal.getAlternates(request);
+        });
+
+        /**
+         * Route failAction which localizes Joi validation messages using `validation.<type>` keys of the catalog of
+         * request's locale such as `validation.any.required`. Messages are ICU messages which get context of Joi error
+         * detail as values, such as `{label}` and `{limit}`. Messages without translation are kept as they are.
+         * @name validationFailAction
+         * @function
+         * @param {Object}      request - Hapi.js request object
+         * @param {Object}      h       - Hapi.js response toolkit
+         * @param {Error}       err     - Validation error
+         * @throws {Error}              - Bad request error with localized messages.
+         * @example
+         * // tr_TR.json: { "validation": { "any": { "required": "{label} zorunludur" } } }
+         * server.route({ method: 'GET', path: '/search', options: { validate: {
+         *     query: Joi.object({ q: Joi.string().required() }),
+         *     failAction: server.plugins['hapi-locale'].validationFailAction
+         * } }, handler: handler });
+         */
+        server.expose('validationFailAction', function validationFailAction(request, h, err) {
+            return internal.validationFailAction(request, h, err);
+        });
+
+        if (internal.options.localizeValidation) {
+            let setFailAction = function (route) {
+                if (route.settings.validate.failAction === 'error') {
+                    route.settings.validate.failAction = function sanitizedFailAction(request, h, err) {
+                        return internal.sanitizedFailAction(request, h, err);
+                    };
+                }
+            };
+
+            server.table().forEach(setFailAction);
+            server.events.on('route', setFailAction);
+        }
+
+        /**
+         * Returns path of the route with given id for given locale. Routes registered via `server.localizedRoute()` get
+         * locale prefix and translated path of the locale (`paths` route option). Other routes get locale in their path
+         * parameter (`options.param`) if they have one. Locale should be available in the route (`locales` route option),
+         * and in the tenant of given request if `options.tenants` is set. Without request, locales of plugin and all
+         * tenants are accepted.
+         * @name urlFor
+         * @function
+         * @param {string}      id          - Id of the route (`route.options.id`).
+         * @param {Object}      [params]    - Values of path parameters.
+         * @param {string}      [locale]    - Locale. Path without locale is returned if not given.
+         * @param {Object}      [request]   - hapi.js request object to use locales of its tenant.
+         * @returns {string}                - Path.
+         * @throws {Error}                  - Throws error if route is not found, locale is not available in the route, or a
+         *                                    required parameter is missing.
+         * @example
+         * var url = request.server.plugins['hapi-locale'].urlFor('about', {}, 'fr_FR');         // /fr_FR/a-propos
+         * var url = request.server.plugins['hapi-locale'].urlFor('user', { id: 5 }, 'tr_TR');   // /tr_TR/kullanici/5
+         * var url = request.server.plugins['hapi-locale'].urlFor('about', {}, 'de_DE', request); // Checks tenant of request
+         */
+        server.expose('urlFor', function urlFor(id, params, locale, request) {
+            return internal.urlFor(server, id, params, locale, request);
+        });
+
+        /**
+         * Registers given route(s) as they are and with every available locale as path prefix, such as `/account`,
+         * `/en_US/account` and `/tr_TR/account`, so only available locales match prefixed routes. Locales of all tenants
+         * are used as prefix too, and a prefix is handled like a `{lang}` parameter for tenants it is not available in. Locale in prefix is
+         * requested via `params` method. GET requests with other forms of locales such as `/en-us/account` are
+         * redirected to registered prefix. Routes are also registered for locales added later via `reloadLocales()`.
+         * Routes which have the same method and path with a registered route are skipped.
+         * @name localizedRoute
+         * @memberof server
+         * @function
+         * @param {Object|Array.<Object>}   config  - Route configuration(s) as given to `server.route()`.
+         * @example
+         * server.localizedRoute({ method: 'GET', path: '/account', handler: handler });
+         */
+        server.decorate('server', 'localizedRoute', function localizedRoute(config) {
+            let configs = lodash.castArray(config);
+            internal.localizedRoutes.push({ server: this, configs: configs });
+            internal.addLocalizedRoutes(this, configs, internal.allLocales);
+        });
+
+        server.ext('onRequest', internal.redirectPrefix, {bind: internal});
+
+        if (internal.options.redirect) {
+            server.ext('onRequest', internal.redirectRequest, {bind: internal});
+        }
+
         server.ext(internal.options.onEvent, internal.processRequest, {bind: internal});
+
+        if (['onRequest', 'onPreAuth'].indexOf(internal.options.onEvent) > -1) {
+            server.ext('onPostAuth', internal.processCredentials, {bind: internal});
+        }
+        server.ext('onPreResponse', internal.processResponse, {bind: internal});
+
+        if (internal.options.persist && internal.options.cookie && !server.states.cookies[internal.options.cookie]) {
+            server.state(internal.options.cookie, Object.assign({
+                encoding: internal.options.cookieKey ? 'base64json' : 'none',
+                clearInvalid: true,
+                strictHeader: true
+            }, internal.options.cookieOptions));
+        }
     }
 };
@@ -0,0 +1,44 @@
+/*jslint node: true, nomen: true */
+
+
+/**
+ * @module intl
+ * @private
+ * @description
+ * Cache of Intl objects, so formatters are created once for every locale and options. Options may come from
+ * translation arguments, so the cache is bounded and least recently used objects are dropped first.
+ */
+
+var cache = new Map(),
+    maxSize = 500;
+
+/**
+ * Returns cached instance of given Intl constructor. Falls back to default locale of the runtime if locale is not a
+ * structurally valid language tag.
+ * @param {Function}        Constructor - Intl constructor such as Intl.PluralRules.
+ * @param {string}          locale      - BCP 47 language tag.
+ * @param {Object}          [options]   - Options of the constructor.
+ * @returns {Object}                    - Intl object.
+ * @private
+ */
+function intl(Constructor, locale, options) {
+    let key = Constructor.name + '|' + locale + '|' + JSON.stringify(options || {}),
+        instance = cache.get(key);
+
+    if (instance) {
+        cache.delete(key);      // Map keeps insertion order, so re-inserting marks it as recently used.
+    } else {
+        try {
+            instance = new Constructor(locale, options);
+        } catch (err) {
+            instance = new Constructor(undefined, options);
+        }
+        if (cache.size >= maxSize) cache.delete(cache.keys().next().value);
+    }
+
+    cache.set(key, instance);
+
+    return instance;
+}
+
+module.exports = intl;
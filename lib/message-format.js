@@ -0,0 +1,250 @@
+/*jslint node: true, nomen: true */
+
+
+/**
+ * @module message-format
+ * @private
+ * @description
+ * Parser and formatter of ICU MessageFormat messages used in translation catalogs. Supports simple arguments
+ * (`{name}`), `number`, `date` and `time` arguments, `plural` and `selectordinal` arguments evaluated with
+ * `Intl.PluralRules` (including `offset:` and exact `=n` options), `select` arguments, `#` in plural options and
+ * apostrophe quoting.
+ */
+
+const intl = require('./intl');
+
+var dateStyles = {
+    short: { year: '2-digit', month: 'numeric', day: 'numeric' },
+    medium: { year: 'numeric', month: 'short', day: 'numeric' },
+    long: { year: 'numeric', month: 'long', day: 'numeric' },
+    full: { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' }
+};
+
+var timeStyles = {
+    short: { hour: 'numeric', minute: 'numeric' },
+    medium: { hour: 'numeric', minute: 'numeric', second: 'numeric' },
+    long: { hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short' },
+    full: { hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short' }
+};
+
+var numberStyles = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' }
+};
+
+/**
+ * Parses given ICU message into a list of nodes.
+ * @param {string}          message     - Message to parse. ie. '{count, plural, one {# item} other {# items}}'
+ * @returns {Array.<string|Object>}     - Nodes of the message. Strings are literal texts.
+ * @throws {Error}                      - Throws error if message has a syntax error.
+ * @private
+ */
+function parse(message) {
+    let position = 0;
+
+    let error = function (text) {
+        throw new Error(text + ' at position ' + position + ' of message "' + message + '".');
+    };
+
+    let skipSpace = function () {
+        while (position < message.length && /\s/.test(message[position])) position++;
+    };
+
+    let parseWord = function () {
+        skipSpace();
+        let start = position;
+        while (position < message.length && /[^\s{},]/.test(message[position])) position++;
+        return message.slice(start, position);
+    };
+
+    let expect = function (char) {
+        skipSpace();
+        if (message[position] !== char) error('Expected "' + char + '"');
+        position++;
+    };
+
+    let parseArgument, parseMessage;
+
+    parseMessage = function (inPlural, nested) {
+        let nodes = [],
+            text = '';
+
+        while (position < message.length) {
+            let char = message[position],
+                next = message[position + 1];
+
+            if (char === '}') {
+                if (!nested) error('Unexpected "}"');
+                break;
+            }
+
+            if (char === '{' || (char === '#' && inPlural)) {
+                if (text) nodes.push(text);
+                text = '';
+
+                if (char === '{') {
+                    nodes.push(parseArgument(inPlural));
+                } else {
+                    nodes.push({ type: 'pound' });
+                    position++;
+                }
+                continue;
+            }
+
+            // '' is an apostrophe, ' before a special character starts quoted literal text until next apostrophe.
+            if (char === "'" && next === "'") {
+                text += "'";
+                position += 2;
+                continue;
+            }
+
+            if (char === "'" && (next === '{' || next === '}' || (next === '#' && inPlural))) {
+                position++;
+                while (position < message.length) {
+                    if (message[position] === "'" && message[position + 1] === "'") {
+                        text += "'";
+                        position += 2;
+                    } else if (message[position] === "'") {
+                        position++;
+                        break;
+                    } else {
+                        text += message[position++];
+                    }
+                }
+                continue;
+            }
+
+            text += char;
+            position++;
+        }
+
+        if (text) nodes.push(text);
+        return nodes;
+    };
+
+    parseArgument = function (inPlural) {
+        let start = position;
+        position++;     // Skip {
+
+        let name = parseWord();
+        if (!name) error('Expected argument name');
+
+        skipSpace();
+        if (message[position] === '}') {
+            position++;
+            return { type: 'argument', name: name };
+        }
+
+        expect(',');
+        let type = parseWord();
+
+        if (type === 'number' || type === 'date' || type === 'time') {
+            let style = null;
+            skipSpace();
+            if (message[position] === ',') {
+                position++;
+                style = parseWord();
+            }
+            expect('}');
+            return { type: type, name: name, style: style };
+        }
+
+        if (type !== 'plural' && type !== 'selectordinal' && type !== 'select') {
+            error('Unknown argument type "' + type + '"');
+        }
+
+        let node = { type: type === 'select' ? 'select' : 'plural', name: name, ordinal: type === 'selectordinal', offset: 0, options: {} };
+
+        expect(',');
+        skipSpace();
+
+        if (node.type === 'plural' && message.substr(position, 7) === 'offset:') {
+            position += 7;
+            node.offset = Number(parseWord());
+            if (isNaN(node.offset)) error('Expected number as offset');
+        }
+
+        skipSpace();
+        while (position < message.length && message[position] !== '}') {
+            let key = parseWord();
+            if (!key) error('Expected option name');
+            expect('{');
+            node.options[key] = parseMessage(node.type === 'plural' || inPlural, true);
+            expect('}');
+            skipSpace();
+        }
+
+        if (!node.options.other) error('Expected "other" option for argument "' + name + '"');
+        expect('}');
+
+        node.source = message.slice(start, position);     // To leave plural as written if its value is missing.
+        return node;
+    };
+
+    return parseMessage(false, false);
+}
+
+/**
+ * Formats given value using Intl according to type and style of the argument.
+ * @param {string}          locale      - BCP 47 language tag.
+ * @param {*}               value       - Value to format.
+ * @param {string}          [type]      - Type of the argument: number, date or time.
+ * @param {string|null}     [style]     - Style of the argument such as integer, percent, short, long.
+ * @returns {string}                    - Formatted value.
+ * @private
+ */
+function formatValue(locale, value, type, style) {
+    if (type === 'date' || type === 'time' || (!type && value instanceof Date)) {
+        let styles = type === 'time' ? timeStyles : dateStyles;
+        return intl(Intl.DateTimeFormat, locale, styles[style] || styles.medium).format(value instanceof Date ? value : new Date(value));
+    }
+
+    if (type === 'number' || (!type && typeof value === 'number')) {
+        return intl(Intl.NumberFormat, locale, numberStyles[style]).format(Number(value));
+    }
+
+    return String(value);
+}
+
+/**
+ * Formats parsed message with given values.
+ * @param {Array.<string|Object>} nodes - Nodes returned from parse().
+ * @param {string}          locale      - BCP 47 language tag used for plural rules and number and date formats.
+ * @param {Object}          [values]    - Values of the arguments.
+ * @param {number}          [number]    - Value of `#` in current plural option.
+ * @returns {string}                    - Formatted message. Arguments without values are left as they are, such as `{name}`
+ *                                        or `{count, plural, ...}`.
+ * @private
+ */
+function format(nodes, locale, values, number) {
+    return nodes.map(function (node) {
+        if (typeof node === 'string') return node;
+        if (node.type === 'pound') return formatValue(locale, number, 'number');
+
+        let hasValue = values && Object.prototype.hasOwnProperty.call(values, node.name) && values[node.name] !== undefined,
+            value = hasValue ? values[node.name] : undefined;
+
+        if (node.type === 'argument' || node.type === 'number' || node.type === 'date' || node.type === 'time') {
+            return hasValue ? formatValue(locale, value, node.type === 'argument' ? null : node.type, node.style) : '{' + node.name + '}';
+        }
+
+        if (node.type === 'select') {
+            let option = hasValue && Object.prototype.hasOwnProperty.call(node.options, String(value)) ? node.options[String(value)] : node.options.other;
+            return format(option, locale, values, number);
+        }
+
+        if (!hasValue || isNaN(Number(value))) return node.source;
+
+        // Plural: exact match such as =0 has priority over plural category of the value.
+        let count = Number(value),
+            exact = node.options['=' + count],
+            category = intl(Intl.PluralRules, locale, { type: node.ordinal ? 'ordinal' : 'cardinal' }).select(count - node.offset);
+
+        return format(exact || node.options[category] || node.options.other, locale, values, count - node.offset);
+    }).join('');
+}
+
+module.exports = {
+    parse: parse,
+    format: format
+};
@@ -7,7 +7,7 @@ const path    = require('path');
 const rewire  = require('rewire');
 const plugin  = rewire('../lib/index.js');
 
-const { describe, it } = exports.lab = Lab.script();
+const { before, describe, it } = exports.lab = Lab.script();
 
 var Internal            = plugin.__get__('Internal');
 var options = {
@@ -18,53 +18,167 @@ var options = {
 };
 var internal = new Internal(options);
 
+async function create(options) {
+    var internal = new Internal(options);
+    await internal.loadLocales();
+    return internal;
+}
+
+before(async () => {
+    await internal.loadLocales();
+});
+
 
 
 describe('scan', function() {
     
-    it('should scan files and directories', function() {
-        expect(internal.scan()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);        
+    it('should scan files and directories', async function() {
+        expect(await internal.scan()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);        
     });
 
-    it('should scan only files', function() {
+    it('should scan only files', async function() {
         const localOptions = { ...options,   scan: { path: path.join(__dirname, 'locales'), directories: false }}
         var internal = new Internal(localOptions);
-        expect(internal.scan()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);
+        expect(await internal.scan()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);
     })
+
+    it('should scan multiple paths and skip other file types', async function() {
+        var internal = new Internal({ ...options, scan: { path: [path.join(__dirname, 'locales'), path.join(__dirname, 'locales-extra')] } });
+        expect(await internal.scan()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR', 'es_MX']);
+    });
+
+    it('should scan recursively', async function() {
+        var internal = new Internal({ ...options, scan: { path: path.join(__dirname, 'locales-nested'), recursive: true } });
+        expect((await internal.scan()).sort()).to.equal(['en_US', 'tr_TR']);
+    });
+
+    it('should scan given file types', async function() {
+        var internal = new Internal({ ...options, scan: { path: path.join(__dirname, 'locales-nested'), recursive: true, fileType: ['.json', 'yml'] } });
+        expect((await internal.scan()).sort()).to.equal(['de_DE', 'en_US', 'tr_TR']);
+    });
+
+    it('should throw if a path cannot be found', async function() {
+        var internal = new Internal({ ...options, scan: { path: [path.join(__dirname, 'locales'), path.join(__dirname, 'none')] } });
+        await expect(internal.scan()).to.reject(/cannot be found/);
+    });
 });
 
 
 
 describe('getAvailableLocales', function() {
     
-    it('should return for default config', function() {
-        expect(internal.getAvailableLocales()).to.equal(["en_US", "tr_TR", "fr_FR"]);
+    it('should return for default config', async function() {
+        expect(await internal.getAvailableLocales()).to.equal(["en_US", "tr_TR", "fr_FR"]);
         
     });
 
-    it('should return for deep config', function() {
+    it('should return for deep config', async function() {
         var localOptions = { ...options, 
             configFile: path.join(__dirname, 'config-files', 'config-deep.json'),
             configKey: 'options.locales'
         };
         var internal = new Internal(localOptions);
-        expect(internal.getAvailableLocales()).to.equal(["en_US", "tr_TR"]);
+        expect(await internal.getAvailableLocales()).to.equal(["en_US", "tr_TR"]);
         
     });
 
-    it('should return for empty config', function() {
+    it('should return for empty config', async function() {
         var localOptions = { ...options,
             configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
         };
         var internal = new Internal(localOptions);
-        expect(internal.getAvailableLocales()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);
+        expect(await internal.getAvailableLocales()).to.equal(['en', 'en_US', 'fr_FR', 'jp_JP', 'tr_TR' ]);
         
     });
 
-    it('should prioritize options', function() {
+    it('should prioritize options', async function() {
         var localOptions = { ...options, locales: ['tr_TR'] };
         var internal = new Internal(localOptions);
-        expect(internal.getAvailableLocales()).to.equal(['tr_TR']);
+        expect(await internal.getAvailableLocales()).to.equal(['tr_TR']);
         
     });
-});
\ No newline at end of file
+});
+
+
+describe('bestMatch', function() {
+
+    it('should match regardless of separator and case', function() {
+        expect(internal.bestMatch('en-US')).to.equal('en_US');
+        expect(internal.bestMatch('EN_us')).to.equal('en_US');
+        expect(internal.bestMatch('tr-tr')).to.equal('tr_TR');
+    });
+
+    it('should return first available of requested locales', function() {
+        expect(internal.bestMatch(['NA_NA', 'fr-FR', 'tr_TR'])).to.equal('fr_FR');
+    });
+
+    it('should match script subtags', async function() {
+        var internal = await create({ ...options, locales: ['zh_Hant_TW', 'zh_Hans_CN'] });
+        expect(internal.bestMatch('zh-hant-tw')).to.equal('zh_Hant_TW');
+        expect(internal.bestMatch('ZH_HANS_cn')).to.equal('zh_Hans_CN');
+    });
+
+    it('should return undefined if not any match found', function() {
+        expect(internal.bestMatch('NA_NA')).to.equal(undefined);
+        expect(internal.bestMatch()).to.equal(undefined);
+    });
+});
+
+
+
+describe('lookupLocale', function() {
+
+    it('should truncate requested locale', async function() {
+        var internal = await create({ ...options, locales: ['de', 'en_US'] });
+        expect(internal.bestMatch('de_AT')).to.equal('de');
+        expect(internal.bestMatch('de-Latn-AT')).to.equal('de');
+    });
+
+    it('should not truncate for exact lookup', async function() {
+        var internal = await create({ ...options, locales: ['de', 'en_US'], lookup: 'exact' });
+        expect(internal.bestMatch('de_AT')).to.equal(undefined);
+    });
+
+    it('should match same language for language lookup', async function() {
+        var internal = await create({ ...options, locales: ['en_US', 'de_DE'], lookup: 'language' });
+        expect(internal.bestMatch('de_AT')).to.equal('de_DE');
+        expect(internal.bestMatch(['pt_BR', 'de_AT'])).to.equal('de_DE');
+    });
+
+    it('should try fallbacks in order', async function() {
+        var internal = await create({ ...options, locales: ['es', 'es_419'], fallbacks: { 'es-mx': ['es_419', 'es'] } });
+        expect(internal.bestMatch('es_MX')).to.equal('es_419');
+        expect(internal.bestMatch('es_ES')).to.equal('es');
+    });
+
+    it('should try requested locale and its fallbacks before next requested locale', async function() {
+        var internal = await create({ ...options, locales: ['en_US', 'pt'], fallbacks: { pt_BR: ['pt'] } });
+        expect(internal.bestMatch(['pt_BR', 'en_US'])).to.equal('pt');
+    });
+});
+
+
+
+describe('parseHost', function() {
+
+    it('should capture locale from hostname with regular expression', async function() {
+        var internal = await create({ ...options, host: { subdomain: /^([a-z]{2}-[a-z]{2})\./ } });
+        expect(internal.parseHost({ info: { hostname: 'tr-tr.example.com' } })).to.equal('tr_TR');
+        expect(internal.parseHost({ info: { hostname: 'www.example.com' } })).to.equal(undefined);
+    });
+
+    it('should not use subdomain if disabled', async function() {
+        var internal = await create({ ...options, host: { subdomain: false } });
+        expect(internal.parseHost({ info: { hostname: 'fr-fr.example.com' } })).to.equal(undefined);
+    });
+});
+
+
+
+describe('loadCatalogs', function() {
+
+    it('should load catalogs of recursive layout under namespaces', async function() {
+        var internal = await create({ ...options, locales: ['en_US', 'tr_TR'], translations: true, scan: { path: path.join(__dirname, 'locales-nested'), recursive: true } });
+        expect(internal.catalogs).to.equal({ en_US: { common: { title: 'Welcome' }, admin: { title: 'Dashboard' } }, tr_TR: { common: {} } });
+    });
+});
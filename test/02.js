@@ -4,6 +4,7 @@
 const Lab = require('@hapi/lab');
 const { expect } = require('@hapi/code');
 const path    = require('path');
+const Hapi    = require('@hapi/hapi');
 
 const { afterEach, beforeEach, describe, it } = exports.lab = Lab.script();
 const { init } = require('./hapi/create-server');
@@ -49,6 +50,18 @@ describe('hapi-locale with config file', function() {
         expect(response.result).to.equal({ locale: 'tr_TR' });
     });
 
+    it('should determine language from query regardless of separator and case', async function() {
+        var options = { method: "GET", url: "/locale?lang=EN-us" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'en_US' });
+    });
+
+    it('should determine language from parameter regardless of separator and case', async function() {
+        var options = { method: "GET", url: "/fr-fr/locale" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
 });
 
 
@@ -93,6 +106,12 @@ describe('hapi-locale with scan dir', function() {
         const response = await server.inject(options);
         expect(response.result).to.equal({ locale: 'tr_TR' });
     });
+
+    it('should determine language from header using lookup', async function() {
+        var options = { method: "GET", url: "/locale", headers: { "accept-language": "en-GB,fr;q=0.8" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'en' });
+    });
 });
 
 
@@ -175,4 +194,950 @@ describe('hapi-locale with different order', function() {
         const response = await server.inject(options);
         expect(response.statusCode).to.equal(404);
     });
-});
\ No newline at end of file
+});
+
+
+describe('hapi-locale with format', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    format: 'bcp47',
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should store locale in given format', async function() {
+        var options = { method: "GET", url: "/locale?lang=tr_tr" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'tr-TR' });
+    });
+});
+
+describe('hapi-locale with resolvers', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    order: ['params', 'appHeader', 'profile', 'query'],
+                    resolvers: {
+                        appHeader: function (request) {
+                            return request.headers['x-app-locale'];
+                        },
+                        profile: async function (request) {
+                            if (request.query.user === 'broken') throw new Error('Profile service is down.');
+                            if (request.query.user === 'down') throw 'Profile service is down.';
+                            return request.query.user === 'ozum' ? ['NA_NA', 'tr_TR'] : undefined;
+                        }
+                    },
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should determine language from sync resolver', async function() {
+        var options = { method: "GET", url: "/locale?lang=tr_TR", headers: { "x-app-locale": "fr-FR" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
+    it('should determine language from async resolver', async function() {
+        var options = { method: "GET", url: "/locale?user=ozum&lang=fr_FR" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should continue with next method if resolver returns nothing', async function() {
+        var options = { method: "GET", url: "/locale?user=other&lang=fr_FR" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
+    it('should respect order of built-in methods', async function() {
+        var options = { method: "GET", url: "/tr_TR/locale", headers: { "x-app-locale": "fr-FR" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should return 500 if resolver throws', async function() {
+        var options = { method: "GET", url: "/locale?user=broken" };
+        const response = await server.inject(options);
+        expect(response.statusCode).to.equal(500);
+    });
+
+    it('should return 500 if resolver throws a value which is not an error', async function() {
+        var options = { method: "GET", url: "/locale?user=down" };
+        const response = await server.inject(options);
+        expect(response.statusCode).to.equal(500);
+    });
+
+    it('should not register with unknown method in order', async function() {
+        const plugins = [{ plugin: require('../index.js'), options: { locales: ['en_US'], order: ['query', 'profile'] } }];
+        await expect(init(plugins)).to.reject(/profile/);
+    });
+});
+
+
+describe('hapi-locale with host', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    order: ['host', 'query'],
+                    failAction: 'error',
+                    host: {
+                        domains: { 'example.de': 'de_DE', 'Example.com.tr': 'tr_TR', 'com.tr': 'en_US' }
+                    },
+                    locales: ['en_US', 'de_DE', 'tr_TR', 'fr']
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should determine language from domain', async function() {
+        var options = { method: "GET", url: "/locale?lang=fr", headers: { host: "example.de" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'de_DE' });
+    });
+
+    it('should prefer longest matching domain', async function() {
+        var options = { method: "GET", url: "/locale", headers: { host: "www.example.com.tr:8000" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should determine language from subdomain', async function() {
+        var options = { method: "GET", url: "/locale", headers: { host: "fr.example.com" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr' });
+    });
+
+    it('should continue with next method if host does not match', async function() {
+        var options = { method: "GET", url: "/locale?lang=fr", headers: { host: "www.example.com" } };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr' });
+    });
+
+    it('should not request subdomain which is not a language tag', async function() {
+        for (let host of ['www.example.com', 'staging.example.com', '127.0.0.1:8000']) {
+            const response = await server.inject({ method: "GET", url: "/detection?lang=fr", headers: { host: host } });
+            expect(response.result).to.include({ locale: 'fr', source: 'query', rejected: [] });
+        }
+    });
+});
+
+
+describe('hapi-locale with route options', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should skip disabled route', async function() {
+        var options = { method: "GET", url: "/health?lang=tr_TR" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ detected: false });
+    });
+
+    it('should restrict locales of route', async function() {
+        var options = { method: "GET", url: "/admin/locale?lang=tr_TR" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'en_US' });
+    });
+
+    it('should use default and order of route', async function() {
+        var response = await server.inject({ method: "GET", url: "/tr_TR/public/locale?lang=fr_FR" });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+
+        response = await server.inject({ method: "GET", url: "/tr_TR/public/locale?lang=en_US" });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should throw 404 for locale not allowed in route', async function() {
+        var options = { method: "GET", url: "/en_US/public/locale" };
+        const response = await server.inject(options);
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should use fixed locale of route', async function() {
+        var options = { method: "GET", url: "/fixed/locale?lang=tr_TR" };
+        const response = await server.inject(options);
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
+    it('should throw for invalid route options on registration', async function() {
+        const invalid = Hapi.server();
+        invalid.route({ method: 'GET', path: '/invalid/options', options: { plugins: { 'hapi-locale': { order: 'query' } } }, handler: () => null });
+        const register = invalid.register({ plugin: require('../index.js'), options: { locales: ['en_US', 'tr_TR'] } });
+        await expect(register).to.reject(/Invalid hapi-locale options for route get \/invalid\/options: "order" must be an array/);
+    });
+
+    it('should throw for invalid options of routes added after registration on start', async function() {
+        const invalid = Hapi.server();
+        await invalid.register({ plugin: require('../index.js'), options: { locales: ['en_US', 'tr_TR'] } });
+        invalid.route({ method: 'GET', path: '/invalid/options', options: { plugins: { 'hapi-locale': { order: ['unknown'] } } }, handler: () => null });
+        await expect(invalid.initialize()).to.reject(/Invalid hapi-locale options for route get \/invalid\/options: Order contains unknown method/);
+    });
+
+    it('should return 500 for unavailable locale in route options', async function() {
+        server.route({ method: 'GET', path: '/invalid/locale', options: { plugins: { 'hapi-locale': { locale: 'NA_NA' } } }, handler: () => null });
+        const response = await server.inject({ method: "GET", url: "/invalid/locale" });
+        expect(response.statusCode).to.equal(500);
+    });
+});
+
+
+describe('hapi-locale with persist', function() {
+    let server;
+
+    const register = async (options) => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    persist: true,
+                    cookieOptions: { isSecure: false, ttl: 60000 },
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    },
+                    ...options
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    };
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64');
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should write locale determined from query to cookie', async function() {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/locale?lang=tr-tr" });
+        expect(response.headers['set-cookie'][0]).to.startWith('lang=' + encode({ lang: 'tr_TR' }) + ';');
+        expect(response.headers['set-cookie'][0]).to.contain(['Max-Age=60', 'SameSite=Lax', 'Path=/']);
+    });
+
+    it('should read persisted cookie', async function() {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/locale", headers: { cookie: 'lang=' + encode({ lang: 'fr_FR', theme: 'dark' }) } });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+        expect(response.headers['set-cookie']).to.not.exist();
+    });
+
+    it('should keep other keys of cookie', async function() {
+        await register({ cookieKey: 'prefs.lang' });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/locale", headers: { cookie: 'lang=' + encode({ prefs: { lang: 'fr_FR', theme: 'dark' } }) } });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+        expect(response.headers['set-cookie'][0]).to.startWith('lang=' + encode({ prefs: { lang: 'tr_TR', theme: 'dark' } }) + ';');
+    });
+
+    it('should write locale changed by setter', async function() {
+        await register({ cookieKey: null });
+        const response = await server.inject({ method: "GET", url: "/getter-setter" });
+        expect(response.headers['set-cookie'][0]).to.startWith('lang=ru_RU;');
+    });
+
+    it('should not write locale determined from header', async function() {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/locale", headers: { "accept-language": "tr-TR" } });
+        expect(response.headers['set-cookie']).to.not.exist();
+    });
+});
+
+
+describe('hapi-locale with response headers', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    contentLanguage: true,
+                    vary: true,
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should set Content-Language without Vary if determined from params', async function() {
+        const response = await server.inject({ method: "GET", url: "/tr_TR/locale" });
+        expect(response.headers['content-language']).to.equal('tr-TR');
+        expect(response.headers.vary).to.not.exist();
+    });
+
+    it('should vary by cookie if determined from query', async function() {
+        const response = await server.inject({ method: "GET", url: "/locale?lang=fr_FR" });
+        expect(response.headers['content-language']).to.equal('fr-FR');
+        expect(response.headers.vary).to.equal('cookie');
+    });
+
+    it('should vary by cookie and header if determined from header', async function() {
+        const response = await server.inject({ method: "GET", url: "/locale", headers: { "accept-language": "tr-TR" } });
+        expect(response.headers['content-language']).to.equal('tr-TR');
+        expect(response.headers.vary).to.equal('cookie,accept-language');
+    });
+
+    it('should use locale changed by setter', async function() {
+        const response = await server.inject({ method: "GET", url: "/getter-setter" });
+        expect(response.headers['content-language']).to.equal('ru-RU');
+    });
+
+    it('should set headers of error responses', async function() {
+        const response = await server.inject({ method: "GET", url: "/error", headers: { "accept-language": "tr-TR" } });
+        expect(response.statusCode).to.equal(403);
+        expect(response.headers['content-language']).to.equal('tr-TR');
+        expect(response.headers.vary).to.equal('cookie,accept-language');
+    });
+});
+
+
+describe('hapi-locale with redirect', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    redirect: {
+                        statusCode: 301,
+                        exclude: ['/health', /^\/admin\//]
+                    },
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should redirect to locale determined from query preserving query string', async function() {
+        const response = await server.inject({ method: "GET", url: "/account?lang=tr-TR&page=2" });
+        expect(response.statusCode).to.equal(301);
+        expect(response.headers.location).to.equal('/tr_TR/account?lang=tr-TR&page=2');
+    });
+
+    it('should redirect to locale determined from cookie', async function() {
+        const cookie = 'lang=' + Buffer.from(JSON.stringify({ lang: 'fr_FR' })).toString('base64');
+        server.state('lang', { encoding: 'base64json' });
+        const response = await server.inject({ method: "GET", url: "/", headers: { cookie: cookie, "accept-language": "tr-TR" } });
+        expect(response.headers.location).to.equal('/fr_FR');
+    });
+
+    it('should redirect to default locale', async function() {
+        const response = await server.inject({ method: "GET", url: "/account" });
+        expect(response.headers.location).to.equal('/en_US/account');
+    });
+
+    it('should not redirect prefixed paths', async function() {
+        const response = await server.inject({ method: "GET", url: "/fr_FR/locale" });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
+    it('should not redirect non-GET requests and excluded paths', async function() {
+        var response = await server.inject({ method: "POST", url: "/locale" });
+        expect(response.statusCode).to.equal(404);
+
+        response = await server.inject({ method: "GET", url: "/health" });
+        expect(response.statusCode).to.equal(200);
+
+        response = await server.inject({ method: "GET", url: "/admin/locale" });
+        expect(response.result).to.equal({ locale: 'en_US' });
+    });
+
+    it('should exclude only the root path for "/"', async function() {
+        await server.stop();
+        server = await init([{
+            plugin: require('../index.js'),
+            options: {
+                redirect: { exclude: ['/'] },
+                configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                scan: { path: path.join(__dirname, 'locales') }
+            }
+        }]);
+
+        var response = await server.inject({ method: "GET", url: "/" });
+        expect(response.headers.location).to.not.exist();
+
+        response = await server.inject({ method: "GET", url: "/account" });
+        expect(response.headers.location).to.equal('/en_US/account');
+    });
+});
+
+describe('hapi-locale detection details', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should record source and requested value', async function() {
+        const response = await server.inject({ method: "GET", url: "/tr-tr/detection" });
+        expect(response.result).to.equal({ locale: 'tr_TR', source: 'params', methods: ['params'], requested: 'tr-tr', rejected: [] });
+    });
+
+    it('should record rejected candidates', async function() {
+        const response = await server.inject({ method: "GET", url: "/detection?lang=de_DE", headers: { "Accept-Language": "ja-JP,tr-TR;q=0.8" } });
+        expect(response.result).to.equal({
+            locale: 'tr_TR',
+            source: 'headers',
+            methods: ['params', 'cookie', 'query', 'headers'],
+            requested: ['ja-JP', 'tr-TR'],
+            rejected: [{ source: 'query', requested: 'de_DE' }]
+        });
+    });
+
+    it('should record default source', async function() {
+        const response = await server.inject({ method: "GET", url: "/detection?lang=de_DE" });
+        expect(response.result).to.equal({
+            locale: 'en_US',
+            source: 'default',
+            methods: ['params', 'cookie', 'query', 'headers'],
+            requested: undefined,
+            rejected: [{ source: 'query', requested: 'de_DE' }]
+        });
+    });
+
+    it('should log detection details', async function() {
+        const logs = [];
+        server.events.on({ name: 'request', channels: 'app' }, function (request, event, tags) {
+            if (tags['hapi-locale']) logs.push(event);
+        });
+
+        await server.inject({ method: "GET", url: "/detection?lang=de_DE", headers: { "Accept-Language": "tr-TR" } });
+        expect(logs.map(function (event) { return event.tags; })).to.equal([['hapi-locale', 'detection', 'rejected'], ['hapi-locale', 'detection']]);
+        expect(logs[0].data).to.equal({ source: 'query', requested: 'de_DE' });
+        expect(logs[1].data).to.include({ locale: 'tr_TR', source: 'headers', requested: ['tr-TR'] });
+    });
+});
+
+describe('hapi-locale with failAction', function() {
+    let server;
+
+    const create = async function (options) {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: Object.assign({ locales: ['en_US', 'pt_BR', 'tr_TR'] }, options)
+            }
+        ];
+
+        server = await init(plugins);
+        return server;
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should redirect to closest locale in path', async function() {
+        await create({ failAction: { params: 'redirect' } });
+        const response = await server.inject({ method: "GET", url: "/pt/locale?x=1" });
+        expect(response.statusCode).to.equal(302);
+        expect(response.headers.location).to.equal('/pt_BR/locale?x=1');
+    });
+
+    it('should leave path prefix which looks like a language tag to fail action of params in redirect mode', async function() {
+        await create({ redirect: {}, failAction: 'redirect' });
+        let response = await server.inject({ method: "GET", url: "/pt/locale" });
+        expect(response.headers.location).to.equal('/pt_BR/locale');
+
+        response = await server.inject({ method: "GET", url: "/pt-br/locale" });
+        expect(response.result).to.equal({ locale: 'pt_BR' });
+    });
+
+    it('should redirect to default locale if no locale with same language is available', async function() {
+        await create({ failAction: 'redirect' });
+        const response = await server.inject({ method: "GET", url: "/de/locale" });
+        expect(response.headers.location).to.equal('/en_US/locale');
+    });
+
+    it('should redirect to closest locale in query', async function() {
+        await create({ failAction: 'redirect' });
+        const response = await server.inject({ method: "GET", url: "/locale?lang=pt", headers: { host: "attacker.example" } });
+        expect(response.headers.location).to.equal('/locale?lang=pt_BR');
+    });
+
+    it('should apply fail action given as string to URL methods only', async function() {
+        await create({ failAction: 'error' });
+        let response = await server.inject({ method: "GET", url: "/detection", headers: { "Accept-Language": "de-DE, tr-TR;q=0.5" } });
+        expect(response.result).to.include({ locale: 'tr_TR', source: 'headers' });
+
+        response = await server.inject({ method: "GET", url: "/locale?lang=de" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should continue for redirect of methods other than URL methods', async function() {
+        await create({ failAction: { headers: 'redirect' } });
+        const response = await server.inject({ method: "GET", url: "/detection", headers: { "Accept-Language": "de-DE" } });
+        expect(response.statusCode).to.equal(200);
+        expect(response.result).to.include({ locale: 'en_US', source: 'default' });
+    });
+
+    it('should throw error with failStatus', async function() {
+        await create({ failAction: { query: 'error' }, failStatus: 400 });
+        const response = await server.inject({ method: "GET", url: "/locale?lang=de" });
+        expect(response.statusCode).to.equal(400);
+        expect(response.result.message).to.equal('Requested locale/language de cannot be found.');
+    });
+
+    it('should use default locale without looking next methods', async function() {
+        await create({ failAction: { params: 'default' } });
+        const response = await server.inject({ method: "GET", url: "/de/detection", headers: { "Accept-Language": "tr-TR" } });
+        expect(response.result).to.include({ locale: 'en_US', source: 'default', methods: ['params'] });
+    });
+
+    it('should look next methods', async function() {
+        await create({ failAction: { params: 'continue' } });
+        const response = await server.inject({ method: "GET", url: "/de/locale", headers: { "Accept-Language": "tr-TR" } });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should use locale returned from function', async function() {
+        await create({
+            failAction: {
+                params: function (request, details) {
+                    return details.requested === 'br' ? 'pt-br' : undefined;
+                }
+            }
+        });
+
+        let response = await server.inject({ method: "GET", url: "/br/detection" });
+        expect(response.result).to.include({ locale: 'pt_BR', source: 'params', requested: 'br' });
+
+        response = await server.inject({ method: "GET", url: "/de/locale", headers: { "Accept-Language": "tr-TR" } });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should return 500 if function throws a value which is not an error', async function() {
+        await create({ failAction: { params: function () { throw 'Service is down.'; } } });
+        const response = await server.inject({ method: "GET", url: "/de/locale" });
+        expect(response.statusCode).to.equal(500);
+    });
+
+    it('should throw 404 for path by default', async function() {
+        await create({});
+        const response = await server.inject({ method: "GET", url: "/de/locale" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should look next methods for path if throw404 is false', async function() {
+        await create({ throw404: false });
+        const response = await server.inject({ method: "GET", url: "/de/locale", headers: { "Accept-Language": "tr-TR" } });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+    });
+
+    it('should not allow unknown fail actions', async function() {
+        await expect(create({ failAction: { params: 'ignore' } })).to.reject();
+    });
+});
+
+describe('hapi-locale with localized routes', function() {
+    let server;
+
+    const handler = function (request) {
+        return { locale: request.i18n.getLocale(), source: request.plugins['hapi-locale'].source };
+    };
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    alternates: { method: 'params' },
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should register route with and without locale prefix', async function() {
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler });
+
+        expect(server.table().map((route) => route.path).filter((path) => path.endsWith('/page')).sort()).to.equal(['/en_US/page', '/fr_FR/page', '/page', '/tr_TR/page']);
+
+        let response = await server.inject({ method: "GET", url: "/tr_TR/page" });
+        expect(response.result).to.equal({ locale: 'tr_TR', source: 'params' });
+
+        response = await server.inject({ method: "GET", url: "/page?lang=fr_FR" });
+        expect(response.result).to.equal({ locale: 'fr_FR', source: 'query' });
+
+        response = await server.inject({ method: "GET", url: "/de_DE/page" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should register root path and multiple routes', async function() {
+        server.localizedRoute([
+            { method: 'GET', path: '/', handler: handler },
+            { method: 'POST', path: '/page', handler: handler }
+        ]);
+
+        let response = await server.inject({ method: "GET", url: "/fr_FR" });
+        expect(response.result).to.equal({ locale: 'fr_FR', source: 'params' });
+
+        response = await server.inject({ method: "POST", url: "/tr_TR/page" });
+        expect(response.result).to.equal({ locale: 'tr_TR', source: 'params' });
+    });
+
+    it('should skip registered routes', async function() {
+        server.route({ method: 'GET', path: '/tr_TR/page', handler: () => 'custom' });
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler });
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler });
+
+        const response = await server.inject({ method: "GET", url: "/tr_TR/page" });
+        expect(response.result).to.equal('custom');
+    });
+
+    it('should register prefixes for locales of the route', async function() {
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler, options: { plugins: { 'hapi-locale': { locales: ['tr-TR', 'en_US'] } } } });
+
+        let response = await server.inject({ method: "GET", url: "/tr_TR/page" });
+        expect(response.result).to.equal({ locale: 'tr_TR', source: 'params' });
+
+        response = await server.inject({ method: "GET", url: "/fr_FR/page" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should redirect other forms of locale in prefix to registered prefix', async function() {
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler });
+
+        let response = await server.inject({ method: "GET", url: "/en-us/page?x=1" });
+        expect(response.statusCode).to.equal(301);
+        expect(response.headers.location).to.equal('/en_US/page?x=1');
+
+        response = await server.inject({ method: "GET", url: "/TR_tr/page" });
+        expect(response.headers.location).to.equal('/tr_TR/page');
+
+        response = await server.inject({ method: "GET", url: "/de-de/page" });
+        expect(response.statusCode).to.equal(404);
+
+        response = await server.inject({ method: "GET", url: "/en-us/locale" });
+        expect(response.result).to.equal({ locale: 'en_US' });
+        expect(server.plugins['hapi-locale'].getStats()).to.include({ total: 3, locales: { en_US: 2, tr_TR: 1 } });
+    });
+
+    it('should redirect unavailable locale in prefix to closest locale if fail action of params is redirect', async function() {
+        await server.stop();
+        server = await init([{ plugin: require('../index.js'), options: { locales: ['en_US', 'pt_BR'], failAction: { params: 'redirect' } } }]);
+        server.localizedRoute({ method: 'GET', path: '/page', handler: handler });
+
+        let response = await server.inject({ method: "GET", url: "/pt/page" });
+        expect(response.statusCode).to.equal(302);
+        expect(response.headers.location).to.equal('/pt_BR/page');
+
+        response = await server.inject({ method: "GET", url: "/de/page" });
+        expect(response.headers.location).to.equal('/en_US/page');
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({ total: 2, sources: { params: 2 }, locales: { pt_BR: 1, en_US: 1 }, misses: { pt: 1, de: 1 } });
+    });
+
+    it('should create alternate URLs for prefixed routes', async function() {
+        server.localizedRoute({ method: 'GET', path: '/page', handler: (request) => request.server.plugins['hapi-locale'].getAlternates(request) });
+
+        const response = await server.inject({ method: "GET", url: "/tr_TR/page" });
+        expect(response.result.map((alternate) => alternate.url)).to.equal([
+            'http://localhost:8000/en_US/page',
+            'http://localhost:8000/tr_TR/page',
+            'http://localhost:8000/fr_FR/page',
+            'http://localhost:8000/en_US/page'
+        ]);
+    });
+});
+
+describe('hapi-locale with translated paths', function() {
+    let server;
+
+    const handler = function (request) {
+        return { locale: request.i18n.getLocale() };
+    };
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    alternates: { method: 'params' },
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+        server.localizedRoute([
+            {
+                method: 'GET',
+                path: '/about',
+                handler: handler,
+                options: { id: 'about', plugins: { 'hapi-locale': { paths: { fr_FR: '/a-propos', 'tr-TR': '/hakkimizda' } } } }
+            },
+            {
+                method: 'GET',
+                path: '/user/{id}',
+                handler: (request) => request.server.plugins['hapi-locale'].getAlternates(request).map((alternate) => alternate.url),
+                options: { id: 'user', plugins: { 'hapi-locale': { paths: { tr_TR: '/kullanici/{id}' } } } }
+            },
+            {
+                method: 'GET',
+                path: '/contact',
+                handler: handler,
+                options: { id: 'contact', plugins: { 'hapi-locale': { locales: ['en_US', 'tr_TR'] } } }
+            }
+        ]);
+        server.route({ method: 'GET', path: '/{lang}/regular/{id}', handler: handler, options: { id: 'regular' } });
+        server.route({ method: 'GET', path: '/{lang}/restricted', handler: handler, options: { id: 'restricted', plugins: { 'hapi-locale': { locales: ['tr_TR'] } } } });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should determine locale from translated paths', async function() {
+        let response = await server.inject({ method: "GET", url: "/fr_FR/a-propos" });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+
+        response = await server.inject({ method: "GET", url: "/tr_TR/hakkimizda" });
+        expect(response.result).to.equal({ locale: 'tr_TR' });
+
+        response = await server.inject({ method: "GET", url: "/en_US/about" });
+        expect(response.result).to.equal({ locale: 'en_US' });
+
+        response = await server.inject({ method: "GET", url: "/fr_FR/about" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should build URLs of localized routes', async function() {
+        const urlFor = server.plugins['hapi-locale'].urlFor;
+
+        expect(urlFor('about', {}, 'fr_FR')).to.equal('/fr_FR/a-propos');
+        expect(urlFor('about', {}, 'en-us')).to.equal('/en_US/about');
+        expect(urlFor('about')).to.equal('/about');
+        expect(urlFor('user', { id: 5 }, 'tr_TR')).to.equal('/tr_TR/kullanici/5');
+        expect(urlFor('user', { id: 'a b' })).to.equal('/user/a%20b');
+    });
+
+    it('should build URLs of routes with locale parameter', async function() {
+        expect(server.plugins['hapi-locale'].urlFor('regular', { id: 5 }, 'tr_TR')).to.equal('/tr_TR/regular/5');
+    });
+
+    it('should throw for unknown routes, unavailable locales and missing parameters', async function() {
+        const urlFor = server.plugins['hapi-locale'].urlFor;
+
+        expect(() => urlFor('none')).to.throw('Route none cannot be found.');
+        expect(() => urlFor('about', {}, 'de_DE')).to.throw('Locale de_DE is not available.');
+        expect(() => urlFor('user', {}, 'tr_TR')).to.throw('Parameter id of path /kullanici/{id} is required.');
+        expect(() => urlFor('contact', {}, 'fr_FR')).to.throw('Locale fr_FR is not available for route contact.');
+        expect(() => urlFor('restricted', {}, 'en_US')).to.throw('Locale en_US is not available for route restricted.');
+        expect(urlFor('contact', {}, 'tr-TR')).to.equal('/tr_TR/contact');
+        expect(urlFor('restricted', {}, 'tr_TR')).to.equal('/tr_TR/restricted');
+    });
+
+    it('should create alternate URLs with translated paths', async function() {
+        const expected = [
+            'http://localhost:8000/en_US/user/5',
+            'http://localhost:8000/tr_TR/kullanici/5',
+            'http://localhost:8000/fr_FR/user/5',
+            'http://localhost:8000/en_US/user/5'
+        ];
+
+        let response = await server.inject({ method: "GET", url: "/tr_TR/kullanici/5" });
+        expect(response.result).to.equal(expected);
+
+        response = await server.inject({ method: "GET", url: "/user/5" });
+        expect(response.result).to.equal(expected);
+    });
+});
+
+describe('hapi-locale with credentials', function() {
+    let server;
+
+    const create = async function (options) {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: Object.assign({
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }, options)
+            }
+        ];
+
+        server = await init(plugins);
+
+        server.auth.scheme('test', () => ({
+            authenticate: (request, h) => h.authenticated({ credentials: { profile: { locale: request.headers['x-user-locale'] } } })
+        }));
+        server.auth.strategy('test', 'test');
+
+        const handler = (request) => request.plugins['hapi-locale'];
+        server.route([
+            { method: 'GET', path: '/account', handler: handler, options: { auth: 'test' } },
+            { method: 'GET', path: '/{lang}/account', handler: handler, options: { auth: 'test' } },
+            { method: 'GET', path: '/login', handler: handler }
+        ]);
+
+        return server;
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should determine locale from credentials after authentication', async function() {
+        await create({ order: ['params', 'credentials', 'cookie', 'query', 'headers'], credentialsKey: 'profile.locale' });
+
+        const response = await server.inject({ method: "GET", url: "/account", headers: { "x-user-locale": "tr-TR", "Accept-Language": "fr-FR" } });
+        expect(response.result).to.include({ locale: 'tr_TR', source: 'credentials', requested: 'tr-TR' });
+    });
+
+    it('should keep locale of methods before credentials', async function() {
+        await create({ order: ['params', 'credentials', 'cookie', 'query', 'headers'], credentialsKey: 'profile.locale' });
+
+        const response = await server.inject({ method: "GET", url: "/fr_FR/account", headers: { "x-user-locale": "tr-TR" } });
+        expect(response.result).to.include({ locale: 'fr_FR', source: 'params' });
+    });
+
+    it('should override default locale', async function() {
+        await create({ order: ['headers', 'credentials'], credentialsKey: 'profile.locale' });
+
+        const response = await server.inject({ method: "GET", url: "/account", headers: { "x-user-locale": "tr_TR" } });
+        expect(response.result).to.include({ locale: 'tr_TR', source: 'credentials' });
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({ total: 1, sources: { credentials: 1 }, locales: { tr_TR: 1 }, misses: {} });
+    });
+
+    it('should determine locale before authentication for routes without auth', async function() {
+        await create({ order: ['credentials', 'headers'] });
+
+        const response = await server.inject({ method: "GET", url: "/login", headers: { "Accept-Language": "fr-FR" } });
+        expect(response.result).to.include({ locale: 'fr_FR', source: 'headers' });
+    });
+
+    it('should keep locale if credentials locale is not available', async function() {
+        await create({ order: ['credentials', 'headers'], credentialsKey: 'profile.locale' });
+
+        const response = await server.inject({ method: "GET", url: "/account", headers: { "x-user-locale": "de_DE", "Accept-Language": "fr-FR" } });
+        expect(response.result).to.include({ locale: 'fr_FR', source: 'headers', rejected: [{ source: 'credentials', requested: 'de_DE' }] });
+    });
+
+    it('should count credentials locale which is not available as miss', async function() {
+        await create({ order: ['credentials', 'headers'], credentialsKey: 'profile.locale' });
+        const events = [];
+        server.events.on('localeMiss', (event) => events.push(event));
+
+        await server.inject({ method: "GET", url: "/account", headers: { "x-user-locale": "de_DE", "Accept-Language": "fr-FR" } });
+        expect(events.map((event) => [event.locale, event.source])).to.equal([['de_DE', 'credentials']]);
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({ total: 1, sources: { headers: 1 }, locales: { fr_FR: 1 }, misses: { de_DE: 1 } });
+    });
+
+    it('should take fail action of credentials', async function() {
+        await create({ order: ['credentials', 'headers'], credentialsKey: 'profile.locale', failAction: { credentials: 'error' } });
+
+        const response = await server.inject({ method: "GET", url: "/account", headers: { "x-user-locale": "de_DE", "Accept-Language": "fr-FR" } });
+        expect(response.statusCode).to.equal(404);
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({ total: 1, sources: { credentials: 1 }, locales: {}, misses: { de_DE: 1 } });
+    });
+});
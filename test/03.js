@@ -86,4 +86,466 @@ describe('hapi-locale', function() {
         const response = await server.inject(options);
         expect(response.result.getLocale).to.equal(undefined);
     });
-});
\ No newline at end of file
+});
+describe('hapi-locale alternates', function() {
+    let server;
+
+    const register = async (options) => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    },
+                    ...options
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should return alternates swapping path parameter', async function () {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/tr_TR/alternates/5?page=2" });
+        expect(response.result).to.equal([
+            { locale: 'en_US', hreflang: 'en-US', url: 'http://localhost:8000/en_US/alternates/5?page=2' },
+            { locale: 'tr_TR', hreflang: 'tr-TR', url: 'http://localhost:8000/tr_TR/alternates/5?page=2' },
+            { locale: 'fr_FR', hreflang: 'fr-FR', url: 'http://localhost:8000/fr_FR/alternates/5?page=2' },
+            { locale: 'en_US', hreflang: 'x-default', url: 'http://localhost:8000/en_US/alternates/5?page=2' }
+        ]);
+    });
+
+    it('should return alternates swapping query parameter', async function () {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/alternates?lang=tr_TR&page=2" });
+        expect(response.result.map((alternate) => alternate.url)).to.equal([
+            'http://localhost:8000/alternates?lang=en_US&page=2',
+            'http://localhost:8000/alternates?lang=tr_TR&page=2',
+            'http://localhost:8000/alternates?lang=fr_FR&page=2',
+            'http://localhost:8000/alternates?page=2'
+        ]);
+    });
+
+    it('should return alternates swapping optional path parameter', async function () {
+        await register();
+        const response = await server.inject({ method: "GET", url: "/alternates/5?page=2" });
+        expect(response.result.map((alternate) => alternate.url)).to.equal([
+            'http://localhost:8000/alternates/5/en_US?page=2',
+            'http://localhost:8000/alternates/5/tr_TR?page=2',
+            'http://localhost:8000/alternates/5/fr_FR?page=2',
+            'http://localhost:8000/alternates/5/en_US?page=2'
+        ]);
+    });
+
+    it('should return alternates swapping query parameter for routes without path parameter', async function () {
+        await register({ alternates: { method: 'params' } });
+        const response = await server.inject({ method: "GET", url: "/alternates?page=2" });
+        expect(response.result.map((alternate) => alternate.url)).to.equal([
+            'http://localhost:8000/alternates?page=2&lang=en_US',
+            'http://localhost:8000/alternates?page=2&lang=tr_TR',
+            'http://localhost:8000/alternates?page=2&lang=fr_FR',
+            'http://localhost:8000/alternates?page=2&lang=en_US'
+        ]);
+    });
+
+    it('should return alternates swapping host', async function () {
+        await register({ alternates: { method: 'host' }, host: { domains: { 'example.com.tr': 'tr_TR' } } });
+        const response = await server.inject({ method: "GET", url: "/alternates", headers: { host: 'en-us.example.com' } });
+        expect(response.result.map((alternate) => alternate.url)).to.equal([
+            'http://en-us.example.com/alternates',
+            'http://example.com.tr/alternates',
+            'http://fr-fr.example.com/alternates',
+            'http://en-us.example.com/alternates'
+        ]);
+    });
+
+    it('should add alternates to Link header', async function () {
+        await register({ alternates: { header: true }, locales: ['en_US', 'tr_TR'] });
+        const response = await server.inject({ method: "GET", url: "/locale" });
+        expect(response.headers.link).to.equal('<http://localhost:8000/locale?lang=en_US>; rel="alternate"; hreflang="en-US", ' +
+            '<http://localhost:8000/locale?lang=tr_TR>; rel="alternate"; hreflang="tr-TR", ' +
+            '<http://localhost:8000/locale>; rel="alternate"; hreflang="x-default"');
+    });
+});
+
+describe('hapi-locale stats', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should count sources, locales and misses', async function() {
+        await server.inject({ method: "GET", url: "/tr_TR/locale" });
+        await server.inject({ method: "GET", url: "/locale", headers: { "Accept-Language": "pt-BR,tr-TR;q=0.8,*;q=0.5" } });
+        await server.inject({ method: "GET", url: "/locale?lang=pt_BR" });
+        await server.inject({ method: "GET", url: "/NA_NA/locale" });
+
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({
+            total: 4,
+            sources: { params: 2, headers: 1, default: 1 },
+            locales: { tr_TR: 2, en_US: 1 },
+            misses: { pt_BR: 2, na_NA: 1 }
+        });
+    });
+
+    it('should not count values which do not look like a language tag as misses', async function() {
+        await server.inject({ method: "GET", url: "/locale?lang=foo.bar" });
+        await server.inject({ method: "GET", url: "/locale", headers: { "Accept-Language": "12345, x" } });
+
+        expect(server.plugins['hapi-locale'].getStats().misses).to.equal({});
+    });
+
+    it('should keep most recently missed locales only', async function() {
+        const langs = Array.from({ length: 504 }, (value, index) => index);
+        langs.splice(500, 0, 0);                                              // zz-0 is missed again before it is dropped.
+
+        for (let lang of langs) {
+            await server.inject({ method: "GET", url: "/locale?lang=zz-" + lang });
+        }
+
+        const misses = server.plugins['hapi-locale'].getStats().misses;
+        expect(Object.keys(misses).length).to.equal(500);
+        expect(misses).to.not.include(['zz_1', 'zz_4']);
+        expect(misses).to.include({ zz_0: 2, zz_5: 1, zz_503: 1 });
+    });
+
+    it('should emit localeMiss event', async function() {
+        const events = [];
+        server.events.on('localeMiss', (event) => events.push(event));
+
+        await server.inject({ method: "GET", url: "/locale?lang=de-at", headers: { "Accept-Language": "pt-BR,tr-TR;q=0.8" } });
+
+        expect(events.map((event) => [event.locale, event.requested, event.source])).to.equal([['de_AT', 'de-at', 'query'], ['pt_BR', 'pt-BR', 'headers']]);
+        expect(events[0].request.path).to.equal('/locale');
+    });
+
+    it('should count redirected requests', async function() {
+        await server.stop();
+        server = await init([{
+            plugin: require('../index.js'),
+            options: {
+                redirect: {},
+                configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                scan: { path: path.join(__dirname, 'locales') }
+            }
+        }]);
+
+        const response = await server.inject({ method: "GET", url: "/account", headers: { "Accept-Language": "pt-BR,tr-TR;q=0.8" } });
+        expect(response.headers.location).to.equal('/tr_TR/account');
+        expect(server.plugins['hapi-locale'].getStats()).to.equal({ total: 1, sources: { headers: 1 }, locales: { tr_TR: 1 }, misses: { pt_BR: 1 } });
+    });
+
+    it('should return a copy of stats', async function() {
+        server.plugins['hapi-locale'].getStats().total = 10;
+        expect(server.plugins['hapi-locale'].getStats().total).to.equal(0);
+    });
+});
+
+describe('hapi-locale with tenants', function() {
+    let server;
+
+    const create = async function (tenants, options) {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: Object.assign({
+                    tenants: Object.assign({
+                        sets: {
+                            acme: { locales: ['tr_TR', 'de_DE'], default: 'de_DE' },
+                            globex: { scan: { path: path.join(__dirname, 'locales-extra') } },
+                            initech: { configKey: 'locales' }
+                        }
+                    }, tenants),
+                    configFile: path.join(__dirname, 'config-files', 'config-default.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }, options)
+            }
+        ];
+
+        server = await init(plugins);
+        server.route({
+            path: "/t/{tenant}/locale",
+            method: "GET",
+            handler: (request) => ({ locale: request.i18n.getLocale() })
+        });
+        server.route({
+            path: "/tenant",
+            method: "GET",
+            handler: function(request) {
+                const plugin = request.server.plugins['hapi-locale'];
+                return { getLocales: plugin.getLocales(request), getDefaultLocale: plugin.getDefaultLocale(request), getLocale: plugin.getLocale(request) };
+            }
+        });
+        return server;
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should use locales of tenant from header', async function() {
+        await create({ key: 'header' });
+
+        let response = await server.inject({ method: "GET", url: "/locale?lang=de_DE", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal({ locale: 'de_DE' });
+
+        response = await server.inject({ method: "GET", url: "/locale?lang=fr_FR", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal({ locale: 'de_DE' });
+
+        response = await server.inject({ method: "GET", url: "/fr_FR/locale", headers: { "x-tenant": "acme" } });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should use plugin locales for unknown tenants', async function() {
+        await create({ key: 'header' });
+
+        let response = await server.inject({ method: "GET", url: "/locale?lang=fr_FR", headers: { "x-tenant": "unknown" } });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+
+        response = await server.inject({ method: "GET", url: "/locale?lang=de_DE" });
+        expect(response.result).to.equal({ locale: 'en_US' });
+    });
+
+    it('should determine locales of tenants from scan path and config key', async function() {
+        await create({ key: 'header' });
+
+        let response = await server.inject({ method: "GET", url: "/tenant", headers: { "x-tenant": "globex" } });
+        expect(response.result).to.equal({ getLocales: ['es_MX'], getDefaultLocale: 'es_MX', getLocale: 'es_MX' });
+
+        response = await server.inject({ method: "GET", url: "/tenant", headers: { "x-tenant": "initech" } });
+        expect(response.result).to.equal({ getLocales: ['en_US', 'tr_TR', 'fr_FR'], getDefaultLocale: 'en_US', getLocale: 'en_US' });
+    });
+
+    it('should expose locales of tenant', async function() {
+        await create({ key: 'header' });
+
+        const response = await server.inject({ method: "GET", url: "/tenant?lang=tr_TR", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal({ getLocales: ['tr_TR', 'de_DE'], getDefaultLocale: 'de_DE', getLocale: 'tr_TR' });
+        expect(server.plugins['hapi-locale'].getLocales()).to.equal(['en_US', 'tr_TR', 'fr_FR']);
+    });
+
+    it('should determine tenant from host', async function() {
+        await create({ key: 'host' });
+
+        const response = await server.inject({ method: "GET", url: "/tenant", headers: { host: "acme.example.com" } });
+        expect(response.result.getLocales).to.equal(['tr_TR', 'de_DE']);
+    });
+
+    it('should determine tenant from path parameter', async function() {
+        await create({ key: 'param' });
+
+        const response = await server.inject({ method: "GET", url: "/t/acme/locale?lang=de_DE" });
+        expect(response.result).to.equal({ locale: 'de_DE' });
+    });
+
+    it('should determine tenant via function', async function() {
+        await create({ key: (request) => request.query.tenant });
+
+        const response = await server.inject({ method: "GET", url: "/locale?tenant=acme&lang=de_DE" });
+        expect(response.result).to.equal({ locale: 'de_DE' });
+    });
+
+    it('should register localized routes for locales of tenants', async function() {
+        await create({ key: 'header' }, { redirect: { exclude: ['/links'] } });
+        server.localizedRoute({ method: 'GET', path: '/page', handler: (request) => request.i18n.getLocale(), options: { id: 'page' } });
+
+        let response = await server.inject({ method: "GET", url: "/page", headers: { "x-tenant": "acme", "Accept-Language": "de-DE" } });
+        expect(response.headers.location).to.equal('/de_DE/page');
+
+        response = await server.inject({ method: "GET", url: "/de_DE/page", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal('de_DE');
+
+        response = await server.inject({ method: "GET", url: "/de_DE/page", headers: { "x-tenant": "unknown" } });
+        expect(response.statusCode).to.equal(404);
+
+        const urlFor = server.plugins['hapi-locale'].urlFor;
+        expect(urlFor('page', {}, 'de_DE')).to.equal('/de_DE/page');
+        expect(urlFor('page', {}, 'es_MX')).to.equal('/es_MX/page');
+
+        server.route({ method: 'GET', path: '/links', handler: (request) => urlFor('page', {}, 'de_DE', request), options: { plugins: { 'hapi-locale': { enabled: false } } } });
+        response = await server.inject({ method: "GET", url: "/links", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal('/de_DE/page');
+
+        response = await server.inject({ method: "GET", url: "/links", headers: { "x-tenant": "unknown" } });
+        expect(response.statusCode).to.equal(500);
+    });
+
+    it('should throw if a tenant has no locales', async function() {
+        await expect(create({ key: 'header', sets: { empty: { locales: [] } } })).to.reject(/Tenant empty/);
+    });
+
+    it('should throw if default locale of a tenant is not available', async function() {
+        await expect(create({ key: 'header', sets: { acme: { locales: ['tr_TR'], default: 'de_DE' } } })).to.reject('Tenant acme: Default locale de_DE is not available.');
+    });
+
+    it('should not allow param key with redirect', async function() {
+        await expect(create({ key: 'param' }, { redirect: {} })).to.reject(/Tenant key cannot be param if redirect is set/);
+    });
+
+    it('should keep locale descriptors per tenant', async function() {
+        await create({
+            key: 'header',
+            sets: {
+                acme: { locales: [{ code: 'tr_TR', name: 'Acme Turkish' }, 'de_DE'] },
+                globex: { locales: [{ code: 'tr-tr', name: 'Globex Turkish', dir: 'rtl' }] }
+            }
+        });
+        server.route({
+            path: "/info",
+            method: "GET",
+            handler: (request) => ({ info: request.server.plugins['hapi-locale'].getLocaleInfo('tr_TR', request), dir: request.i18n.getDirection() })
+        });
+
+        let response = await server.inject({ method: "GET", url: "/info?lang=tr_TR", headers: { "x-tenant": "acme" } });
+        expect(response.result.info).to.include({ code: 'tr_TR', name: 'Acme Turkish', dir: 'ltr' });
+        expect(response.result.dir).to.equal('ltr');
+
+        response = await server.inject({ method: "GET", url: "/info?lang=tr_TR", headers: { "x-tenant": "globex" } });
+        expect(response.result.info).to.include({ code: 'tr-tr', name: 'Globex Turkish', dir: 'rtl' });
+        expect(response.result.dir).to.equal('rtl');
+
+        expect(server.plugins['hapi-locale'].getLocaleInfo('TR-tr')).to.include({ code: 'tr_TR', dir: 'ltr' });
+    });
+
+    it('should translate using catalogs in scan path of tenant', async function() {
+        await create({ key: 'header' }, { translations: true });
+
+        let response = await server.inject({ method: "GET", url: "/es_MX/translate?key=hello&name=Ana", headers: { "x-tenant": "globex" } });
+        expect(response.result).to.equal('¡Hola Ana!');
+
+        response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=hello&name=Ana", headers: { "x-tenant": "acme" } });
+        expect(response.result).to.equal('hello');
+    });
+});
+
+describe('hapi-locale with locale descriptors', function() {
+    let server;
+
+    const name = (locale, language) => typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([language], { type: 'language' }).of(locale) : locale.replace('-', '_');
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    default: 'en_US',
+                    locales: [
+                        'en_US',
+                        { code: 'ar_SA' },
+                        { code: 'he_IL', name: 'Hebrew', nativeName: 'עברית' },
+                        { code: 'pt_BR', dir: 'ltr' },
+                        { code: 'pt_PT', enabled: false, fallback: 'pt_BR' },
+                        'de_DE'
+                    ],
+                    localeInfo: {
+                        'en-us': { name: 'English' },
+                        de_DE: { enabled: false }
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+        server.route({
+            path: "/direction",
+            method: "GET",
+            handler: (request) => request.i18n.getDirection()
+        });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should not make disabled locales available', async function() {
+        expect(server.plugins['hapi-locale'].getLocales()).to.equal(['en_US', 'ar_SA', 'he_IL', 'pt_BR']);
+
+        const response = await server.inject({ method: "GET", url: "/de_DE/locale" });
+        expect(response.statusCode).to.equal(404);
+    });
+
+    it('should return descriptors of locales', async function() {
+        const getLocaleInfo = server.plugins['hapi-locale'].getLocaleInfo;
+
+        expect(getLocaleInfo('he-il')).to.equal({ code: 'he_IL', name: 'Hebrew', nativeName: 'עברית', dir: 'rtl', enabled: true, fallback: [] });
+        expect(getLocaleInfo('ar_SA')).to.equal({ code: 'ar_SA', name: name('ar-SA', 'en'), nativeName: name('ar-SA', 'ar-SA'), dir: 'rtl', enabled: true, fallback: [] });
+        expect(getLocaleInfo('en_US')).to.include({ name: 'English', dir: 'ltr' });
+        expect(getLocaleInfo('de_DE')).to.include({ code: 'de_DE', enabled: false });
+        expect(getLocaleInfo('pt_PT')).to.include({ enabled: false, fallback: ['pt_BR'] });
+        expect(getLocaleInfo('fr_FR')).to.equal(null);
+    });
+
+    it('should use fallback of disabled locale', async function() {
+        const response = await server.inject({ method: "GET", url: "/locale?lang=pt-PT" });
+        expect(response.result).to.equal({ locale: 'pt_BR' });
+    });
+
+    it('should create direction getter', async function() {
+        let response = await server.inject({ method: "GET", url: "/direction?lang=ar_SA" });
+        expect(response.result).to.equal('rtl');
+
+        response = await server.inject({ method: "GET", url: "/direction?lang=pt_BR" });
+        expect(response.result).to.equal('ltr');
+    });
+
+    it('should not allow invalid descriptors', async function() {
+        const plugins = [{ plugin: require('../index.js'), options: { locales: [{ name: 'No code' }] } }];
+        await expect(init(plugins)).to.reject();
+    });
+});
+
+describe('hapi-locale with disabled scanned locales', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    localeInfo: { jp_JP: { enabled: false }, en: { enabled: false } },
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: path.join(__dirname, 'locales')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should skip disabled locales present on disk', async function() {
+        expect(server.plugins['hapi-locale'].getLocales()).to.equal(['en_US', 'fr_FR', 'tr_TR']);
+        expect(server.plugins['hapi-locale'].getLocaleInfo('jp_JP')).to.include({ enabled: false });
+    });
+});
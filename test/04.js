@@ -0,0 +1,114 @@
+"use strict";
+
+/*jslint node: true, nomen: true */
+const Lab = require('@hapi/lab');
+const { expect } = require('@hapi/code');
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+
+const { afterEach, beforeEach, describe, it } = exports.lab = Lab.script();
+const { init } = require('./hapi/create-server');
+
+describe('hapi-locale reload', function() {
+    let server, dir;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hapi-locale-'));
+        fs.writeFileSync(path.join(dir, 'en_US.json'), '{}');
+        fs.writeFileSync(path.join(dir, 'tr_TR.json'), '{}');
+
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    watch: true,
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: dir
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it('should reload locales', async function() {
+        let changes = [];
+        server.events.on('localesChanged', (event) => changes.push(event));
+
+        fs.writeFileSync(path.join(dir, 'fr_FR.json'), '{}');
+        fs.unlinkSync(path.join(dir, 'tr_TR.json'));
+
+        const locales = await server.plugins['hapi-locale'].reloadLocales();
+        expect(locales).to.equal(['en_US', 'fr_FR']);
+        expect(changes).to.equal([{ locales: ['en_US', 'fr_FR'], added: ['fr_FR'], removed: ['tr_TR'] }]);
+
+        const response = await server.inject({ method: "GET", url: "/locale?lang=fr_FR" });
+        expect(response.result).to.equal({ locale: 'fr_FR' });
+    });
+
+    it('should register localized routes for added locales', async function() {
+        server.localizedRoute({ method: 'GET', path: '/page', handler: (request) => request.i18n.getLocale() });
+
+        fs.writeFileSync(path.join(dir, 'fr_FR.json'), '{}');
+        await server.plugins['hapi-locale'].reloadLocales();
+
+        const response = await server.inject({ method: "GET", url: "/fr_FR/page" });
+        expect(response.result).to.equal('fr_FR');
+    });
+
+    it('should not emit event if locales are not changed', async function() {
+        let changes = [];
+        server.events.on('localesChanged', (event) => changes.push(event));
+
+        await server.plugins['hapi-locale'].reloadLocales();
+        expect(changes).to.equal([]);
+    });
+
+    it('should reload locales when watched paths change', async function() {
+        const watch = fs.watch,
+            watched = [],
+            tenantDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hapi-locale-'));
+
+        fs.writeFileSync(path.join(tenantDir, 'es_MX.json'), '{}');
+        await server.stop();
+        fs.watch = (watchedPath, options, listener) => {
+            watched.push({ path: watchedPath, listener: listener });
+            return { close: () => null };
+        };
+
+        try {
+            server = await init([{
+                plugin: require('../index.js'),
+                options: {
+                    watch: true,
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: { path: dir },
+                    tenants: { key: 'header', sets: { acme: { scan: { path: tenantDir } }, globex: { locales: ['en_US'] } } }
+                }
+            }]);
+
+            expect(watched.map((one) => one.path)).to.equal([path.join(__dirname, 'config-files', 'config-empty.json'), dir, tenantDir]);
+
+            const changed = new Promise((resolve) => server.events.once('localesChanged', resolve));
+            fs.writeFileSync(path.join(dir, 'de_DE.json'), '{}');
+            watched[1].listener('rename', 'de_DE.json');
+
+            const event = await changed;
+            expect(event.added).to.equal(['de_DE']);
+            expect(server.plugins['hapi-locale'].getLocales()).to.equal(['de_DE', 'en_US', 'tr_TR']);
+        } finally {
+            fs.watch = watch;
+            fs.unlinkSync(path.join(tenantDir, 'es_MX.json'));
+            fs.rmdirSync(tenantDir);
+        }
+    });
+});
@@ -0,0 +1,325 @@
+"use strict";
+
+/*jslint node: true, nomen: true */
+const Lab = require('@hapi/lab');
+const { expect } = require('@hapi/code');
+const path    = require('path');
+const Joi     = require('@hapi/joi');
+
+const { afterEach, beforeEach, describe, it } = exports.lab = Lab.script();
+const { init } = require('./hapi/create-server');
+
+describe('hapi-locale translations', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    translations: true,
+                    default: 'en_US',
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: path.join(__dirname, 'catalogs')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should translate with variables', async function() {
+        const response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=hello&name=Özüm" });
+        expect(response.result).to.equal('Merhaba Özüm!');
+    });
+
+    it('should translate nested keys', async function() {
+        const response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=menu.home" });
+        expect(response.result).to.equal('Ana Sayfa');
+    });
+
+    it('should translate keys in namespaces of locale directory', async function() {
+        var response = await server.inject({ method: "GET", url: "/fr_FR/translate?key=common.hello&name=Özüm" });
+        expect(response.result).to.equal('Bonjour Özüm !');
+
+        response = await server.inject({ method: "GET", url: "/fr_FR/translate?key=menu.home" });
+        expect(response.result).to.equal('Accueil');
+    });
+
+    it('should fall back to default locale', async function() {
+        var response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=menu.about" });
+        expect(response.result).to.equal('About us');
+
+        response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=only.default" });
+        expect(response.result).to.equal('Only in default locale');
+    });
+
+    it('should return and log missing key', async function() {
+        let logs = [];
+        server.events.on({ name: 'request', channels: 'app', filter: 'translation' }, (request, event) => logs.push(event));
+
+        const response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=menu.contact" });
+        expect(response.result).to.equal('menu.contact');
+        expect(logs[0].tags).to.equal(['hapi-locale', 'translation', 'missing']);
+        expect(logs[0].data).to.equal({ locale: 'tr_TR', key: 'menu.contact' });
+    });
+});
+
+describe('hapi-locale ICU messages', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    translations: true,
+                    default: 'en_US',
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: path.join(__dirname, 'catalogs')
+                    }
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should use plural rules of locale', async function() {
+        var response = await server.inject({ method: "GET", url: "/en_US/translate?key=items&count=1" });
+        expect(response.result).to.equal('1 item');
+
+        response = await server.inject({ method: "GET", url: "/en_US/translate?key=items&count=0" });
+        expect(response.result).to.equal('No items');
+
+        response = await server.inject({ method: "GET", url: "/fr_FR/translate?key=common.items&count=0" });
+        expect(response.result).to.equal('0 article');
+
+        response = await server.inject({ method: "GET", url: "/tr_TR/translate?key=items&count=1" });
+        expect(response.result).to.equal('1 öğe');
+    });
+
+    it('should use ordinal plural rules of locale', async function() {
+        var response = await server.inject({ method: "GET", url: "/en_US/translate?key=place&rank=22" });
+        expect(response.result).to.equal('You finished 22nd!');
+
+        response = await server.inject({ method: "GET", url: "/en_US/translate?key=place&rank=13" });
+        expect(response.result).to.equal('You finished 13th!');
+    });
+});
+
+describe('hapi-locale formatters', function() {
+    let server;
+
+    beforeEach(async () => {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: {
+                    formatters: true,
+                    locales: ['en_US', 'tr_TR', 'fr_FR']
+                }
+            }
+        ];
+
+        server = await init(plugins);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should format with locale of request', async function() {
+        const date = new Date(Date.UTC(2020, 6, 21, 12));
+
+        for (let [locale, tag] of [['en_US', 'en-US'], ['tr_TR', 'tr-TR'], ['fr_FR', 'fr-FR']]) {
+            const response = await server.inject({ method: "GET", url: "/" + locale + "/format" });
+            expect(response.result).to.equal({
+                number: new Intl.NumberFormat(tag).format(1234.5),
+                currency: new Intl.NumberFormat(tag, { style: 'currency', currency: 'EUR' }).format(5),
+                date: new Intl.DateTimeFormat(tag, { timeZone: 'UTC' }).format(date),
+                relativeTime: new Intl.RelativeTimeFormat(tag, { numeric: 'auto' }).format(-1, 'day'),
+                list: new Intl.ListFormat(tag).format(['a', 'b', 'c'])
+            });
+        }
+    });
+
+    it('should format with en_US conventions', async function() {
+        const response = await server.inject({ method: "GET", url: "/en_US/format" });
+        expect(response.result.number).to.equal('1,234.5');
+        expect(response.result.currency).to.equal('€5.00');
+        expect(response.result.relativeTime).to.equal('yesterday');
+        expect(response.result.list).to.equal('a, b, and c');
+    });
+});
+
+describe('hapi-locale validation', function() {
+    let server;
+
+    const create = async function (options) {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: Object.assign({
+                    default: 'en_US',
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: path.join(__dirname, 'catalogs')
+                    }
+                }, options)
+            }
+        ];
+
+        server = await init(plugins);
+        return server;
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const addRoute = function () {
+        server.route({
+            path: "/{lang}/validate",
+            method: "GET",
+            options: {
+                validate: {
+                    query: Joi.object({ q: Joi.string().min(3).required(), page: Joi.number().max(10) }),
+                    options: { abortEarly: false },
+                    failAction: server.plugins['hapi-locale'].validationFailAction
+                }
+            },
+            handler: () => 'ok'
+        });
+    };
+
+    it('should localize message of routes with default failAction without exposing details', async function() {
+        await create({ localizeValidation: true });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/search?page=20" });
+        expect(response.statusCode).to.equal(400);
+        expect(response.result).to.equal({ statusCode: 400, error: 'Bad Request', message: 'Geçersiz query girdisi' });
+    });
+
+    it('should keep message of hapi if there is no translation', async function() {
+        await create({ localizeValidation: true });
+        const response = await server.inject({ method: "GET", url: "/en_US/search?page=20" });
+        expect(response.result).to.equal({ statusCode: 400, error: 'Bad Request', message: 'Invalid request query input' });
+    });
+
+    it('should apply to routes added after registration', async function() {
+        await create({ localizeValidation: true });
+        server.route({
+            path: "/{lang}/late",
+            method: "GET",
+            options: { validate: { query: Joi.object({ q: Joi.string().required() }) } },
+            handler: () => 'ok'
+        });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/late" });
+        expect(response.result.message).to.equal('Geçersiz query girdisi');
+    });
+
+    it('should not change routes if localizeValidation is false', async function() {
+        await create({ translations: true });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/search" });
+        expect(response.result.message).to.equal('Invalid request query input');
+    });
+
+    it('should localize validation messages via exposed validationFailAction', async function() {
+        await create({ translations: true });
+        addRoute();
+        const response = await server.inject({ method: "GET", url: "/tr_TR/validate?page=20" });
+        expect(response.statusCode).to.equal(400);
+        expect(response.result.message).to.equal('q zorunludur. "page" must be less than or equal to 10');
+        expect(response.result.validation).to.equal({ source: 'query', keys: ['q', 'page'] });
+    });
+
+    it('should format values in validation messages', async function() {
+        await create({ translations: true });
+        addRoute();
+        const response = await server.inject({ method: "GET", url: "/tr_TR/validate?q=ab" });
+        expect(response.result.message).to.equal('q en az 3 karakter olmalıdır');
+    });
+
+    it('should keep Joi messages if there is no translation', async function() {
+        await create({ translations: true });
+        addRoute();
+        const response = await server.inject({ method: "GET", url: "/en_US/validate?q=ab" });
+        expect(response.result.message).to.equal('"q" length must be at least 3 characters long');
+    });
+});
+
+describe('hapi-locale error payloads', function() {
+    let server;
+
+    const create = async function (options) {
+        const plugins = [
+            {
+                plugin: require('../index.js'),
+                options: Object.assign({
+                    default: 'en_US',
+                    configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+                    scan: {
+                        path: path.join(__dirname, 'catalogs')
+                    }
+                }, options)
+            }
+        ];
+
+        server = await init(plugins);
+        return server;
+    };
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should translate message and error by status code', async function() {
+        await create({ localizeErrors: true });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/error" });
+        expect(response.statusCode).to.equal(403);
+        expect(response.result).to.equal({ statusCode: 403, error: 'Yasak', message: 'Erişim reddedildi' });
+    });
+
+    it('should translate message by error code with error data', async function() {
+        await create({ localizeErrors: true });
+        const response = await server.inject({ method: "GET", url: "/tr_TR/conflict?name=Özüm" });
+        expect(response.statusCode).to.equal(409);
+        expect(response.result).to.equal({ statusCode: 409, error: 'Conflict', message: 'Özüm zaten var' });
+    });
+
+    it('should use default locale for errors thrown for unavailable locales', async function() {
+        await create({ localizeErrors: true });
+        const response = await server.inject({ method: "GET", url: "/NA_NA/locale" });
+        expect(response.statusCode).to.equal(404);
+        expect(response.result.message).to.equal('Page not found');
+    });
+
+    it('should fall back to catalog of default locale', async function() {
+        await create({ localizeErrors: true });
+        const response = await server.inject({ method: "GET", url: "/fr_FR/error" });
+        expect(response.result).to.equal({ statusCode: 403, error: 'Forbidden', message: 'Access denied' });
+    });
+
+    it('should keep errors without translation', async function() {
+        await create({ localizeErrors: true });
+        const response = await server.inject({ method: "GET", url: "/en_US/conflict" });
+        expect(response.result.message).to.equal('Already exists.');
+    });
+
+    it('should not translate errors if localizeErrors is false', async function() {
+        await create({});
+        const response = await server.inject({ method: "GET", url: "/tr_TR/error" });
+        expect(response.result.message).to.equal('You are not allowed to see this page.');
+    });
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+/*jslint node: true, nomen: true */
+const Lab = require('@hapi/lab');
+const { expect } = require('@hapi/code');
+const MessageFormat = require('../lib/message-format');
+
+const { describe, it } = exports.lab = Lab.script();
+
+const format = (message, values, locale) => MessageFormat.format(MessageFormat.parse(message), locale || 'en-US', values);
+
+describe('message-format', function() {
+
+    it('should replace simple arguments', function() {
+        expect(format('Hello {name}, welcome to {place}!', { name: 'Özüm' })).to.equal('Hello Özüm, welcome to {place}!');
+    });
+
+    it('should format plural with offset and exact options', function() {
+        const message = '{count, plural, offset:1 =0 {Nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}';
+        expect(format(message, { count: 0 })).to.equal('Nobody');
+        expect(format(message, { count: 1, name: 'Ali' })).to.equal('Ali');
+        expect(format(message, { count: 2, name: 'Ali' })).to.equal('Ali and 1 other');
+        expect(format(message, { count: 1001, name: 'Ali' })).to.equal('Ali and 1,000 others');
+    });
+
+    it('should leave plural as written if its value is missing', function() {
+        const message = 'You have {count, plural, one {# item} other {# items}}.';
+        expect(format(message, {})).to.equal(message);
+        expect(format(message, { count: 'many' })).to.equal(message);
+    });
+
+    it('should format plural categories of locale', function() {
+        const message = '{count, plural, one {one} few {few} many {many} other {other}}';
+        expect(format(message, { count: 3 }, 'ar')).to.equal('few');
+        expect(format(message, { count: 11 }, 'ar')).to.equal('many');
+        expect(format(message, { count: 1 }, 'ja-JP')).to.equal('other');
+    });
+
+    it('should format nested select and plural', function() {
+        const message = '{gender, select, female {{count, plural, one {She has # cat} other {She has # cats}}} other {{count, plural, one {They have # cat} other {They have # cats}}}}';
+        expect(format(message, { gender: 'female', count: 1 })).to.equal('She has 1 cat');
+        expect(format(message, { gender: 'unknown', count: 2 })).to.equal('They have 2 cats');
+    });
+
+    it('should format numbers and dates', function() {
+        const date = new Date(Date.UTC(2020, 6, 21, 12));
+        expect(format('{ratio, number, percent} of {total, number, integer}', { ratio: 0.25, total: 1234.5 })).to.equal('25% of 1,235');
+        expect(format('{date, date, long}', { date: date })).to.equal(new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'long', day: 'numeric' }).format(date));
+    });
+
+    it('should handle apostrophe quoting', function() {
+        expect(format("I''m '{name}' and {count, plural, other {'#' #}}", { name: 'Ali', count: 5 })).to.equal("I'm {name} and # 5");
+        expect(format("l'homme", {})).to.equal("l'homme");
+    });
+
+    it('should throw syntax errors', function() {
+        expect(() => MessageFormat.parse('{count, plural, one {# item}}')).to.throw(/other/);
+        expect(() => MessageFormat.parse('{count, plural, other {# items}')).to.throw(/Expected/);
+        expect(() => MessageFormat.parse('Hello }')).to.throw(/Unexpected/);
+        expect(() => MessageFormat.parse('{count, unknown}')).to.throw(/Unknown argument type/);
+    });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+/*jslint node: true, nomen: true */
+const Lab = require('@hapi/lab');
+const { expect } = require('@hapi/code');
+const Hapi = require('@hapi/hapi');
+const lodash = require('lodash');
+const path = require('path');
+
+const { afterEach, describe, it } = exports.lab = Lab.script();
+
+// Minimal template engine: {{path}} is replaced with value in context, {{path arg}} calls function with arg.
+const engine = {
+    compile: function (template) {
+        return function (context) {
+            return template.replace(/\{\{\s*([\w.]+)(?:\s+([^}]+?))?\s*\}\}/g, function (match, name, arg) {
+                const value = lodash.get(context, name);
+                return typeof value === 'function' ? value(isNaN(arg) ? arg : Number(arg)) : String(value);
+            });
+        };
+    }
+};
+
+async function init(options) {
+    const server = Hapi.server();
+    await server.register([require('@hapi/vision'), { plugin: require('../index.js'), options: options }]);
+
+    server.views({ engines: { html: engine }, path: path.join(__dirname, 'views') });
+    server.route([
+        {
+            path: "/{lang}/view",
+            method: "GET",
+            handler: function(request, h) {
+                return h.view('index', { title: 'Title' });
+            }
+        },
+        {
+            path: "/{lang}/view-override",
+            method: "GET",
+            handler: function(request, h) {
+                return h.view('index', { title: 'Title', i18n: { dir: 'custom' } });
+            }
+        },
+        {
+            path: "/{lang}/json",
+            method: "GET",
+            handler: function(request, h) {
+                return { title: 'Title' };
+            }
+        }
+    ]);
+
+    await server.initialize();
+    return server;
+}
+
+describe('hapi-locale view context', function() {
+    let server;
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('should add locale, BCP 47 language tag, locales, default, direction, translator and formatters to view context', async function() {
+        server = await init({
+            viewContext: 'i18n',
+            translations: true,
+            formatters: true,
+            default: 'en_US',
+            configFile: path.join(__dirname, 'config-files', 'config-empty.json'),
+            scan: { path: path.join(__dirname, 'catalogs') }
+        });
+
+        const response = await server.inject({ method: "GET", url: "/fr_FR/view" });
+        expect(response.result).to.equal('<html lang="fr-FR" dir="ltr" data-locale="fr_FR">Accueil|' + new Intl.NumberFormat('fr-FR').format(1234.5) + '|' + server.plugins['hapi-locale'].getLocales().join(',') + '|en_US|Title</html>\n');
+    });
+
+    it('should set rtl direction and use format option', async function() {
+        server = await init({ viewContext: 'i18n', locales: ['en_US', 'ar_SA'], format: 'bcp47' });
+
+        const response = await server.inject({ method: "GET", url: "/ar_SA/view" });
+        expect(response.result).to.startWith('<html lang="ar-SA" dir="rtl" data-locale="ar-SA">');
+    });
+
+    it('should keep values given by handler', async function() {
+        server = await init({ viewContext: 'i18n', locales: ['en_US', 'ar_SA'] });
+
+        const response = await server.inject({ method: "GET", url: "/ar_SA/view-override" });
+        expect(response.result).to.startWith('<html lang="ar-SA" dir="custom" data-locale="ar_SA">');
+    });
+
+    it('should not change context if viewContext is not set', async function() {
+        server = await init({ locales: ['en_US', 'ar_SA'] });
+
+        const response = await server.inject({ method: "GET", url: "/ar_SA/view" });
+        expect(response.result).to.startWith('<html lang="undefined" dir="undefined" data-locale="undefined">');
+    });
+
+    it('should not change other responses', async function() {
+        server = await init({ viewContext: 'i18n', locales: ['en_US', 'ar_SA'] });
+
+        const response = await server.inject({ method: "GET", url: "/ar_SA/json" });
+        expect(response.result).to.equal({ title: 'Title' });
+    });
+});
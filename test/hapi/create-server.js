@@ -1,6 +1,8 @@
 "use strict";
 
 const Hapi      = require("@hapi/hapi");
+const Boom      = require('@hapi/boom');
+const Joi       = require('@hapi/joi');
 const rewire    = require('rewire');
 const plugin    = rewire('../../lib/index.js');
 const lodash    = require('lodash');
@@ -33,6 +35,121 @@ exports.init = async (plugins) => {
                 return { locale: getLocale() };
             }
         },
+        {
+            path: "/health",
+            method: "GET",
+            options: {
+                plugins: { 'hapi-locale': { enabled: false } }
+            },
+            handler: function(request, reply) {
+                return { detected: lodash.get(request, getter) !== undefined };
+            }
+        },
+        {
+            path: "/admin/locale",
+            method: "GET",
+            options: {
+                plugins: { 'hapi-locale': { locales: ['en_US'] } }
+            },
+            handler: function(request, reply) {
+                var getLocale = lodash.get(request, getter);
+                return { locale: getLocale() };
+            }
+        },
+        {
+            path: "/{lang}/public/locale",
+            method: "GET",
+            options: {
+                plugins: { 'hapi-locale': { locales: ['tr_TR', 'fr_FR'], default: 'fr_FR', order: ['query', 'params'] } }
+            },
+            handler: function(request, reply) {
+                var getLocale = lodash.get(request, getter);
+                return { locale: getLocale() };
+            }
+        },
+        {
+            path: "/fixed/locale",
+            method: "GET",
+            options: {
+                plugins: { 'hapi-locale': { locale: 'fr-fr' } }
+            },
+            handler: function(request, reply) {
+                var getLocale = lodash.get(request, getter);
+                return { locale: getLocale() };
+            }
+        },
+        {
+            path: "/error",
+            method: "GET",
+            handler: function(request, reply) {
+                throw Boom.forbidden('You are not allowed to see this page.');
+            }
+        },
+        {
+            path: "/{lang}/error",
+            method: "GET",
+            handler: function(request, reply) {
+                throw Boom.forbidden('You are not allowed to see this page.');
+            }
+        },
+        {
+            path: "/{lang}/conflict",
+            method: "GET",
+            handler: function(request, reply) {
+                throw Boom.conflict('Already exists.', { code: 'DUPLICATE', name: request.query.name });
+            }
+        },
+        {
+            path: "/{lang}/translate",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.i18n.t(request.query.key, request.query);
+            }
+        },
+        {
+            path: "/{lang}/format",
+            method: "GET",
+            handler: function(request, reply) {
+                var date = new Date(Date.UTC(2020, 6, 21, 12));
+                return {
+                    number: request.i18n.formatNumber(1234.5),
+                    currency: request.i18n.formatCurrency(5, 'EUR'),
+                    date: request.i18n.formatDate(date, { timeZone: 'UTC' }),
+                    relativeTime: request.i18n.formatRelativeTime(-1, 'day', { numeric: 'auto' }),
+                    list: request.i18n.formatList(['a', 'b', 'c'])
+                };
+            }
+        },
+        {
+            path: "/{lang}/search",
+            method: "GET",
+            options: {
+                validate: {
+                    query: Joi.object({
+                        q: Joi.string().min(3).required(),
+                        page: Joi.number().max(10)
+                    }),
+                    options: { abortEarly: false }
+                }
+            },
+            handler: function(request, reply) {
+                return { q: request.query.q };
+            }
+        },
+        {
+            path: "/detection",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.plugins['hapi-locale'];
+            }
+        },
+        {
+            path: "/{lang}/detection",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.plugins['hapi-locale'];
+            }
+        },
         {
             path: "/getter-setter",
             method: "GET",
@@ -45,6 +162,27 @@ exports.init = async (plugins) => {
                 };
             }
         },
+        {
+            path: "/alternates",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.server.plugins['hapi-locale'].getAlternates(request);
+            }
+        },
+        {
+            path: "/alternates/{id}/{lang?}",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.server.plugins['hapi-locale'].getAlternates(request);
+            }
+        },
+        {
+            path: "/{lang}/alternates/{id}",
+            method: "GET",
+            handler: function(request, reply) {
+                return request.server.plugins['hapi-locale'].getAlternates(request);
+            }
+        },
         {
             path: "/exposed",
             method: "GET",